@@ -1,3 +1,4 @@
+import fs from 'node:fs';
 import { defineConfig } from 'astro/config';
 
 function normalizeBase(value = '/') {
@@ -6,8 +7,17 @@ function normalizeBase(value = '/') {
   return `/${trimmed.replace(/^\/+|\/+$/g, '')}/`;
 }
 
+// Production origin comes from the GitHub Pages custom domain; ASTRO_SITE
+// overrides it (e.g. https://<user>.github.io for a project-site build).
+function resolveSite() {
+  if (process.env.ASTRO_SITE) return process.env.ASTRO_SITE.trim();
+  const cname = fs.readFileSync(new URL('./public/CNAME', import.meta.url), 'utf8').trim();
+  return `https://${cname}`;
+}
+
 export default defineConfig({
   output: 'static',
+  site: resolveSite(),
   base: normalizeBase(process.env.ASTRO_BASE_PATH || '/'),
   build: {
     assets: '_assets'
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Audio manifest check
+ *
+ * Verifies that every clip in src/data/audio-manifest.json belongs to a known
+ * word and language and points at a file that exists under public/. Runs
+ * before `astro build` so a typo fails the build instead of shipping a
+ * silent button.
+ *
+ * Usage:
+ *   node scripts/check-audio-manifest.js
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const MANIFEST_FILE = path.join(ROOT_DIR, 'src', 'data', 'audio-manifest.json');
+const LANGUAGES_FILE = path.join(ROOT_DIR, 'src', 'data', 'languages.json');
+const STICKERS_FILE = path.join(ROOT_DIR, 'src', 'data', 'stickers.json');
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Returns a list of human-readable problems; an empty list means the manifest is valid.
+ */
+export function findAudioManifestProblems({
+  manifest = readJson(MANIFEST_FILE),
+  wordIds = readJson(STICKERS_FILE).stickers.map((sticker) => sticker.id),
+  languageSlugs = readJson(LANGUAGES_FILE).languages.map((language) => language.slug),
+  publicDir = PUBLIC_DIR,
+} = {}) {
+  const problems = [];
+  const knownWords = new Set(wordIds);
+  const knownLanguages = new Set(languageSlugs);
+
+  if (!manifest || typeof manifest.clips !== 'object' || Array.isArray(manifest.clips)) {
+    return ['audio-manifest.json must have a "clips" object'];
+  }
+
+  for (const [wordId, clips] of Object.entries(manifest.clips)) {
+    if (!knownWords.has(wordId)) {
+      problems.push(`unknown word "${wordId}"`);
+    }
+    for (const [slug, file] of Object.entries(clips)) {
+      const entry = `${wordId}/${slug}`;
+      if (!knownLanguages.has(slug)) {
+        problems.push(`${entry}: unknown language "${slug}"`);
+      }
+      if (typeof file !== 'string' || !file.startsWith('/')) {
+        problems.push(`${entry}: path must be a string starting with "/" (relative to public/)`);
+        continue;
+      }
+      const filePath = path.join(publicDir, file);
+      if (!filePath.startsWith(publicDir + path.sep)) {
+        problems.push(`${entry}: ${file} points outside public/`);
+      } else if (!fs.existsSync(filePath)) {
+        problems.push(`${entry}: missing file public${file}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function main() {
+  const problems = findAudioManifestProblems();
+  if (problems.length > 0) {
+    console.error(`❌ audio-manifest.json has ${problems.length} problem(s):`);
+    for (const problem of problems) {
+      console.error(`   - ${problem}`);
+    }
+    process.exit(1);
+  }
+
+  const { clips } = readJson(MANIFEST_FILE);
+  const clipCount = Object.values(clips).reduce((total, entry) => total + Object.keys(entry).length, 0);
+  console.log(`✅ audio-manifest.json: ${clipCount} clip(s) OK`);
+}
+
+if (process.argv[1] === __filename) {
+  main();
+}
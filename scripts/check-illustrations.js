@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+/**
+ * First 100 Illustration Quality Gate
+ *
+ * Pixel-level checks for the rules in STYLE_GUIDE (scripts/illustration-prompts.js)
+ * that a machine can verify:
+ *
+ *   - background: the border of the image is pure white or transparent
+ *   - subject:    something is drawn, and its bounding box is not too small or too large
+ *   - centering:  the subject's bounding box is centered
+ *   - margin:     the subject stays clear of every edge
+ *   - legibility: scaled to 64px, the subject still covers enough pixels with
+ *                 enough contrast against the background
+ *
+ * generate-illustrations.js runs these checks on every image the API returns.
+ * Images that fail are written to data/illustration-quarantine/ along with a
+ * JSON report, and the current asset and manifest entry stay as they are.
+ * Run this script on its own to check the committed illustrations or a
+ * quarantined file.
+ *
+ * Usage:
+ *   node scripts/check-illustrations.js                      # Every PNG in illustrations.json
+ *   node scripts/check-illustrations.js --only=cat,dog
+ *   node scripts/check-illustrations.js --file=data/illustration-quarantine/cat-2026-10-19T06-30-00-000Z.png
+ *   node scripts/check-illustrations.js --json
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const MANIFEST_FILE = path.join(ROOT_DIR, 'src', 'data', 'illustrations.json');
+export const QUARANTINE_DIR = path.join(ROOT_DIR, 'data', 'illustration-quarantine');
+
+/**
+ * Thresholds, as fractions of the image size unless noted. Calibrated on the
+ * committed illustrations: all of them pass, with the pale cloud closest to
+ * the legibility limits.
+ */
+export const QUALITY_LIMITS = {
+  /** A pixel is background when, composited on white, every channel is at least this (0–255) */
+  backgroundLevel: 240,
+  /** Width of the border ring that must be background */
+  borderWidth: 0.03,
+  /** Share of border pixels that must be background */
+  borderUniformity: 0.98,
+  /** Rows and columns need this share of subject pixels to count towards the bounding box, so stray specks don't */
+  minLineCoverage: 0.004,
+  /** The subject's longer side, relative to the image */
+  minSubjectSize: 0.35,
+  maxSubjectSize: 0.92,
+  /** Largest distance between the subject's center and the image's center */
+  maxCenterOffset: 0.1,
+  /** Smallest gap between the subject and any edge */
+  minMargin: 0.04,
+  /** Size the legibility check scales to, in pixels */
+  legibilitySize: 64,
+  /** Share of pixels at that size that must be subject */
+  minLegibleCoverage: 0.05,
+  /** Average darkness of the subject at that size, 0–255 below white */
+  minLegibleContrast: 24,
+};
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    only: null,
+    files: [],
+    json: false,
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith('--only=')) {
+      options.only = arg.replace('--only=', '').split(',').map((id) => id.trim()).filter(Boolean);
+    } else if (arg.startsWith('--file=')) {
+      options.files.push(path.resolve(process.cwd(), arg.replace('--file=', '').trim()));
+    } else if (arg === '--json') {
+      options.json = true;
+    }
+  }
+
+  return options;
+}
+
+/** Each pixel composited on white, reduced to its darkest channel (0 = black, 255 = white). */
+function toLevels({ data, width, height, channels }) {
+  const levels = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i += 1) {
+    const offset = i * channels;
+    const alpha = channels === 4 ? data[offset + 3] / 255 : 1;
+    let level = 255;
+    for (let c = 0; c < 3; c += 1) {
+      level = Math.min(level, data[offset + c] * alpha + 255 * (1 - alpha));
+    }
+    levels[i] = Math.round(level);
+  }
+  return levels;
+}
+
+/** Area-average downscale of a square-ish level map to `size`×`size`. */
+function downscale(levels, width, height, size) {
+  const result = new Float64Array(size * size);
+  for (let y = 0; y < size; y += 1) {
+    const y0 = Math.floor((y * height) / size);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * height) / size));
+    for (let x = 0; x < size; x += 1) {
+      const x0 = Math.floor((x * width) / size);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * width) / size));
+      let sum = 0;
+      for (let yy = y0; yy < y1; yy += 1) {
+        for (let xx = x0; xx < x1; xx += 1) sum += levels[yy * width + xx];
+      }
+      result[y * size + x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return result;
+}
+
+/**
+ * Runs every check on raw pixels (`data` as RGB or RGBA bytes, as from
+ * sharp's `.raw()`). Returns whether all passed, one result per check and
+ * the measurements behind them.
+ */
+export function analyzeIllustration(image, limits = QUALITY_LIMITS) {
+  const { width, height } = image;
+  const levels = toLevels(image);
+  const isSubject = (i) => levels[i] < limits.backgroundLevel;
+
+  // Background: a ring around the edge.
+  const ring = Math.max(1, Math.round(Math.min(width, height) * limits.borderWidth));
+  let ringPixels = 0;
+  let ringBackground = 0;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (x >= ring && x < width - ring && y >= ring && y < height - ring) continue;
+      ringPixels += 1;
+      if (!isSubject(y * width + x)) ringBackground += 1;
+    }
+  }
+  const borderUniformity = ringBackground / ringPixels;
+
+  // Subject bounding box from rows and columns with enough subject pixels.
+  const rowCounts = new Uint32Array(height);
+  const columnCounts = new Uint32Array(width);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (isSubject(y * width + x)) {
+        rowCounts[y] += 1;
+        columnCounts[x] += 1;
+      }
+    }
+  }
+  const rows = [...rowCounts.keys()].filter((y) => rowCounts[y] >= Math.max(1, width * limits.minLineCoverage));
+  const columns = [...columnCounts.keys()].filter((x) => columnCounts[x] >= Math.max(1, height * limits.minLineCoverage));
+  const box = rows.length && columns.length
+    ? { left: columns[0], top: rows[0], right: columns[columns.length - 1] + 1, bottom: rows[rows.length - 1] + 1 }
+    : null;
+
+  const metrics = { width, height, borderUniformity };
+  const checks = [
+    {
+      id: 'background',
+      passed: borderUniformity >= limits.borderUniformity,
+      message: `${(borderUniformity * 100).toFixed(1)}% of the border is white or transparent (needs ${limits.borderUniformity * 100}%)`,
+    },
+  ];
+
+  if (!box) {
+    checks.push({ id: 'subject', passed: false, message: 'No subject found: the image is blank' });
+    return { passed: false, checks, metrics };
+  }
+
+  const subjectSize = Math.max((box.right - box.left) / width, (box.bottom - box.top) / height);
+  const centerOffset = Math.max(
+    Math.abs((box.left + box.right) / 2 - width / 2) / width,
+    Math.abs((box.top + box.bottom) / 2 - height / 2) / height
+  );
+  const margin = Math.min(box.left / width, box.top / height, (width - box.right) / width, (height - box.bottom) / height);
+
+  const small = downscale(levels, width, height, limits.legibilitySize);
+  const legible = [...small].filter((level) => level < limits.backgroundLevel);
+  const legibleCoverage = legible.length / small.length;
+  const legibleContrast = legible.length ? legible.reduce((sum, level) => sum + (255 - level), 0) / legible.length : 0;
+
+  Object.assign(metrics, { box, subjectSize, centerOffset, margin, legibleCoverage, legibleContrast });
+  const percent = (value) => `${(value * 100).toFixed(1)}%`;
+  checks.push(
+    {
+      id: 'subject',
+      passed: subjectSize >= limits.minSubjectSize && subjectSize <= limits.maxSubjectSize,
+      message: `Subject spans ${percent(subjectSize)} of the image (needs ${percent(limits.minSubjectSize)}–${percent(limits.maxSubjectSize)})`,
+    },
+    {
+      id: 'centering',
+      passed: centerOffset <= limits.maxCenterOffset,
+      message: `Subject is ${percent(centerOffset)} off center (at most ${percent(limits.maxCenterOffset)})`,
+    },
+    {
+      id: 'margin',
+      passed: margin >= limits.minMargin,
+      message: `Smallest margin is ${percent(margin)} (needs ${percent(limits.minMargin)})`,
+    },
+    {
+      id: 'legibility',
+      passed: legibleCoverage >= limits.minLegibleCoverage && legibleContrast >= limits.minLegibleContrast,
+      message: `At ${limits.legibilitySize}px the subject covers ${percent(legibleCoverage)} (needs ${percent(limits.minLegibleCoverage)}) with contrast ${Math.round(legibleContrast)} (needs ${limits.minLegibleContrast})`,
+    }
+  );
+
+  return { passed: checks.every((check) => check.passed), checks, metrics };
+}
+
+/** Decodes an image file or buffer and runs the checks. Large images are scaled to 512px first. */
+export async function checkIllustration(input) {
+  const { data, info } = await sharp(input)
+    .resize({ width: 512, height: 512, fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return analyzeIllustration({ data, width: info.width, height: info.height, channels: info.channels });
+}
+
+/**
+ * Keeps a failed image out of public/: writes it and its report to the
+ * quarantine folder, named by id and time, and returns both paths.
+ */
+export function quarantineIllustration(buffer, id, result, details = {}) {
+  fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const imageFile = path.join(QUARANTINE_DIR, `${id}-${stamp}.png`);
+  const reportFile = path.join(QUARANTINE_DIR, `${id}-${stamp}.json`);
+  fs.writeFileSync(imageFile, buffer);
+  fs.writeFileSync(
+    reportFile,
+    JSON.stringify(
+      {
+        id,
+        quarantinedAt: new Date().toISOString(),
+        ...details,
+        failed: result.checks.filter((check) => !check.passed).map((check) => check.id),
+        checks: result.checks,
+        metrics: result.metrics,
+      },
+      null,
+      2
+    )
+  );
+  return { imageFile, reportFile };
+}
+
+async function main() {
+  const options = parseArgs();
+  let targets;
+  if (options.files.length > 0) {
+    targets = options.files.map((file) => ({ id: path.basename(file, path.extname(file)), file }));
+  } else {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    targets = manifest.illustrations
+      .filter((entry) => entry.file.endsWith('.png'))
+      .filter((entry) => !options.only || options.only.includes(entry.id))
+      .map((entry) => ({ id: entry.id, file: path.join(PUBLIC_DIR, entry.file) }));
+  }
+
+  if (targets.length === 0) {
+    console.error('❌ No illustrations to check');
+    process.exit(1);
+  }
+
+  const results = [];
+  for (const target of targets) {
+    if (!fs.existsSync(target.file)) {
+      console.error(`❌ ${target.id}: missing ${path.relative(ROOT_DIR, target.file)}`);
+      process.exit(1);
+    }
+    results.push({ ...target, ...(await checkIllustration(target.file)) });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results.map(({ id, passed, checks, metrics }) => ({ id, passed, checks, metrics })), null, 2));
+  } else {
+    console.log(`\n🔍 Checked ${results.length} illustration(s)\n`);
+    for (const result of results) {
+      console.log(`${result.passed ? '✅' : '❌'} ${result.id}`);
+      for (const check of result.checks.filter((item) => !item.passed)) {
+        console.log(`     ${check.id}: ${check.message}`);
+      }
+    }
+    console.log('');
+  }
+
+  if (results.some((result) => !result.passed)) {
+    process.exit(1);
+  }
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -8,16 +8,24 @@
  *   node scripts/generate-illustrations.js              # Generate all
  *   node scripts/generate-illustrations.js --dry-run    # Estimate cost only
  *   node scripts/generate-illustrations.js --only=cat,dog,apple  # Generate specific
- *   node scripts/generate-illustrations.js --category=animals    # Generate by category
+ *   node scripts/generate-illustrations.js --category=animals    # Generate by category (id or name)
  *   node scripts/generate-illustrations.js --model=gpt-image-1.5-2025-12-16 # Override model
  *   node scripts/generate-illustrations.js --auto-model # Pick a valid image model from API
+ *   node scripts/generate-illustrations.js --only=cloud --skip-quality-check # Accept an image the checks reject
+ *
+ * Every image must pass the checks in check-illustrations.js before it
+ * replaces the current asset. Failing images go to data/illustration-quarantine/
+ * with a report instead.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import { OBJECTS, buildPrompt, estimateCost, getObjectsByCategory } from './illustration-prompts.js';
+import { OBJECTS, buildPrompt, estimateCost, getCategories, getObjectsByCategory } from './illustration-prompts.js';
+import { findCategory } from '../src/utils/categories.js';
+import { optimizeIllustration } from './optimize-illustrations.js';
+import { checkIllustration, quarantineIllustration } from './check-illustrations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -61,6 +69,7 @@ function parseArgs() {
     verbose: false,
     model: null,
     autoModel: false,
+    skipQualityCheck: false,
   };
 
   for (const arg of args) {
@@ -76,6 +85,8 @@ function parseArgs() {
       options.model = arg.replace('--model=', '').trim();
     } else if (arg === '--auto-model') {
       options.autoModel = true;
+    } else if (arg === '--skip-quality-check') {
+      options.skipQualityCheck = true;
     }
   }
 
@@ -340,9 +351,11 @@ async function main() {
       process.exit(1);
     }
   } else if (options.category) {
-    objectsToGenerate = getObjectsByCategory(options.category);
+    const category = findCategory(options.category);
+    objectsToGenerate = category ? getObjectsByCategory(category.id) : [];
     if (objectsToGenerate.length === 0) {
       console.error(`\n❌ No objects found in category: ${options.category}`);
+      console.log(`\nCategories with objects: ${getCategories().join(', ')}`);
       process.exit(1);
     }
   }
@@ -399,6 +412,7 @@ async function main() {
     objects: [],
     successCount: 0,
     failCount: 0,
+    quarantinedCount: 0,
     estimatedCost: cost.estimated,
   };
   
@@ -409,8 +423,24 @@ async function main() {
     process.stdout.write(`${progress} Generating ${obj.id}... `);
     
     const result = await generateIllustration(openai, obj, options, model);
+    const quality = result.success && !options.skipQualityCheck ? await checkIllustration(result.buffer) : null;
     
-    if (result.success) {
+    if (quality && !quality.passed) {
+      const { imageFile, reportFile } = quarantineIllustration(result.buffer, obj.id, quality, { model, prompt: buildPrompt(obj) });
+      const failed = quality.checks.filter((check) => !check.passed);
+      console.log(`🚧 quarantined (${failed.map((check) => check.id).join(', ')})`);
+      for (const check of failed) {
+        console.log(`     ${check.message}`);
+      }
+      runLog.objects.push({
+        id: obj.id,
+        success: false,
+        quarantined: true,
+        file: path.relative(ROOT_DIR, imageFile),
+        report: path.relative(ROOT_DIR, reportFile),
+      });
+      runLog.quarantinedCount++;
+    } else if (result.success) {
       const filePath = saveImage(result.buffer, obj.id);
       console.log('✅');
       
@@ -421,14 +451,13 @@ async function main() {
       });
       runLog.successCount++;
       
-      // Update manifest
+      // Update manifest, with resized AVIF/WebP copies for the site
       const existingIndex = manifest.illustrations.findIndex(i => i.id === obj.id);
-      const entry = {
+      const { entry } = await optimizeIllustration({
         id: obj.id,
-        category: obj.category,
         file: `/illustrations/${obj.id}.png`,
         generatedAt: new Date().toISOString(),
-      };
+      }, { force: true });
       
       if (existingIndex >= 0) {
         manifest.illustrations[existingIndex] = entry;
@@ -465,6 +494,7 @@ async function main() {
   console.log('\n📊 Generation Summary\n');
   console.log(`  ✅ Successful: ${runLog.successCount}`);
   console.log(`  ❌ Failed: ${runLog.failCount}`);
+  console.log(`  🚧 Quarantined: ${runLog.quarantinedCount}`);
   console.log(`  💰 Estimated cost: $${cost.estimated.toFixed(2)}`);
   console.log(`  📁 Output: ${OUTPUT_DIR}`);
   console.log(`  📋 Manifest: ${MANIFEST_FILE}`);
@@ -476,6 +506,11 @@ async function main() {
     console.log(`   Example: node scripts/generate-illustrations.js --only=${failedIds}`);
   }
   
+  if (runLog.quarantinedCount > 0) {
+    console.log('\n🚧 Some images failed the quality checks and were not used. Reports are in data/illustration-quarantine/.');
+    console.log('   Re-run with --only=<ids> to try again, or add --skip-quality-check to accept them as they are.');
+  }
+  
   console.log('\n✨ Done!\n');
 }
 
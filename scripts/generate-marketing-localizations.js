@@ -5,6 +5,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import OpenAI, { toFile } from 'openai';
+import { getCategory } from '../src/utils/categories.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -20,37 +21,37 @@ const TEMPLATE_IMAGES = [
     id: 'appmarketing01',
     sourcePath: path.join(ROOT_DIR, 'appmarketing01.png'),
     defaultHeadline: 'Learn Somali',
-    category: 'Actions'
+    category: getCategory('actions').name
   },
   {
     id: 'appmarketing02',
     sourcePath: path.join(ROOT_DIR, 'appmarketing02.png'),
     defaultHeadline: 'Fun Vocabulary',
-    category: 'Animals'
+    category: getCategory('animals').name
   },
   {
     id: 'appmarketing03',
     sourcePath: path.join(ROOT_DIR, 'appmarketing03.png'),
     defaultHeadline: 'Interactive Learning',
-    category: 'Home Objects'
+    category: getCategory('home-objects').name
   },
   {
     id: 'appmarketing04',
     sourcePath: path.join(ROOT_DIR, 'appmarketing04.png'),
     defaultHeadline: 'Bilingual Play',
-    category: 'Colors'
+    category: getCategory('colors').name
   },
   {
     id: 'appmarketing05',
     sourcePath: path.join(ROOT_DIR, 'appmarketing05.png'),
     defaultHeadline: 'Kids Language',
-    category: 'Family'
+    category: getCategory('family').name
   },
   {
     id: 'appmarketing06',
     sourcePath: path.join(ROOT_DIR, 'appmarketing06.png'),
     defaultHeadline: 'Visual Learning',
-    category: 'Nature'
+    category: getCategory('nature').name
   }
 ];
 
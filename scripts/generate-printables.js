@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+/**
+ * First 100 Printables Generator
+ *
+ * Writes the PDFs linked from each `/l/<slug>/printables` page: flashcard
+ * sheets (picture and word on the front, English on the back, crop marks)
+ * and a one-page word poster, for A4 and Letter paper. Pages use the layout
+ * in src/utils/printables.js, so the PDF matches the print view of the page.
+ *
+ * Each page is drawn as SVG and rasterized by sharp, whose text renderer
+ * shapes Arabic, Devanagari and CJK properly. Install the Noto fonts first
+ * (fonts-noto-core and fonts-noto-cjk on Debian/Ubuntu) or non-Latin words
+ * come out as empty boxes.
+ *
+ * Usage:
+ *   node scripts/generate-printables.js
+ *   node scripts/generate-printables.js --languages=arabic,japanese
+ *   node scripts/generate-printables.js --paper=letter --per-page=9
+ *   node scripts/generate-printables.js --no-backs --dpi=150
+ *   node scripts/generate-printables.js --dry-run
+ *
+ * Output goes to public/printables/<slug>/ (gitignored) and is copied into
+ * the site by the next build.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import {
+  CARD_GRIDS,
+  DEFAULT_PRINT_OPTIONS,
+  PAPER_SIZES,
+  fitFontSize,
+  getPrintFontFamily,
+  getPrintableCards,
+  layoutFlashcards,
+  layoutPoster,
+} from '../src/utils/printables.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const DATA_DIR = path.join(ROOT_DIR, 'src', 'data');
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const DEFAULT_OUT_DIR = path.join(PUBLIC_DIR, 'printables');
+const MM_PER_INCH = 25.4;
+const POINTS_PER_INCH = 72;
+const JPEG_QUALITY = 88;
+const INK = '#2D2A26';
+const MUTED = '#6B645C';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    languages: null,
+    papers: Object.keys(PAPER_SIZES),
+    perPage: DEFAULT_PRINT_OPTIONS.perPage,
+    backs: DEFAULT_PRINT_OPTIONS.backs,
+    out: DEFAULT_OUT_DIR,
+    dpi: 200,
+    dryRun: false,
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith('--languages=')) {
+      options.languages = arg.replace('--languages=', '').split(',').map((slug) => slug.trim()).filter(Boolean);
+    } else if (arg.startsWith('--paper=')) {
+      options.papers = [arg.replace('--paper=', '').trim()];
+    } else if (arg.startsWith('--per-page=')) {
+      options.perPage = Number(arg.replace('--per-page=', ''));
+    } else if (arg === '--no-backs') {
+      options.backs = false;
+    } else if (arg.startsWith('--out=')) {
+      options.out = path.resolve(ROOT_DIR, arg.replace('--out=', '').trim());
+    } else if (arg.startsWith('--dpi=')) {
+      options.dpi = Number(arg.replace('--dpi=', ''));
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    }
+  }
+
+  return options;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function svgText(text, { x, y, size, family, lang, direction = 'ltr', weight = 700, fill = INK }) {
+  return `<text x="${round(x)}" y="${round(y)}" text-anchor="middle" font-family="${escapeXml(family)}" font-size="${round(size)}" font-weight="${weight}" fill="${fill}" xml:lang="${escapeXml(lang)}" direction="${direction}">${escapeXml(text)}</text>`;
+}
+
+function svgPage(sheet, dpi, content) {
+  const width = Math.round((sheet.width / MM_PER_INCH) * dpi);
+  const height = Math.round((sheet.height / MM_PER_INCH) * dpi);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${sheet.width} ${sheet.height}"><rect width="100%" height="100%" fill="#FFFFFF"/>${content}</svg>`;
+}
+
+/**
+ * One SVG document per flashcard sheet, positioned like the HTML print view.
+ * `imageHref` maps an illustration path to something an SVG `<image>` can
+ * load (the CLI passes data URIs).
+ */
+export function renderFlashcardSvgs(cards, language, options, imageHref, dpi = 200) {
+  const layout = layoutFlashcards(cards.length, options);
+  const { sheet, card } = layout;
+  const wordFont = getPrintFontFamily(language.script);
+  const englishFont = getPrintFontFamily('Latn');
+  const imageSize = Math.min(card.width * 0.62, card.height * 0.62);
+  const marks = layout.cropMarks
+    .map(({ x1, y1, x2, y2 }) => `<line x1="${round(x1)}" y1="${round(y1)}" x2="${round(x2)}" y2="${round(y2)}" stroke="${INK}" stroke-width="0.2"/>`)
+    .join('');
+
+  return layout.sheets.map(({ side, cells }) => {
+    const content = cells
+      .map(({ index, x, y }) => {
+        const { word, english, image } = cards[index];
+        const centerX = x + card.width / 2;
+        if (side === 'back') {
+          const size = fitFontSize(english, card.width * 0.8, card.height * 0.16);
+          return svgText(english, { x: centerX, y: y + card.height / 2 + size * 0.35, size, family: englishFont, lang: 'en' });
+        }
+        const size = fitFontSize(word, card.width * 0.85, card.height * 0.14);
+        const imageY = y + (card.height - imageSize - size * 1.6) / 2;
+        return `<image x="${round(centerX - imageSize / 2)}" y="${round(imageY)}" width="${round(imageSize)}" height="${round(imageSize)}" href="${imageHref(image)}"/>${svgText(word, {
+          x: centerX,
+          y: imageY + imageSize + size * 1.3,
+          size,
+          family: wordFont,
+          lang: language.speechLocale,
+          direction: language.direction,
+        })}`;
+      })
+      .join('');
+    return svgPage(sheet, dpi, marks + content);
+  });
+}
+
+/** The word poster as a single SVG document. */
+export function renderPosterSvg(cards, language, title, options, imageHref, dpi = 200) {
+  const layout = layoutPoster(cards.length, options);
+  const { sheet, header, cell } = layout;
+  const wordFont = getPrintFontFamily(language.script);
+  const wordSize = Math.min(...cards.map(({ word }) => fitFontSize(word, cell.width * 0.9, cell.height * 0.14)));
+  const englishSize = wordSize * 0.6;
+  const imageSize = Math.min(cell.width * 0.7, cell.height - wordSize * 1.3 - englishSize * 1.3 - 3);
+  const titleSize = fitFontSize(title, header.width, 10);
+
+  const content = layout.cells
+    .map(({ index, x, y }) => {
+      const { word, english, image } = cards[index];
+      const centerX = x + cell.width / 2;
+      const imageY = y + 1.5;
+      const wordY = imageY + imageSize + wordSize * 1.1;
+      return [
+        `<image x="${round(centerX - imageSize / 2)}" y="${round(imageY)}" width="${round(imageSize)}" height="${round(imageSize)}" href="${imageHref(image)}"/>`,
+        svgText(word, { x: centerX, y: wordY, size: wordSize, family: wordFont, lang: language.speechLocale, direction: language.direction }),
+        svgText(english, { x: centerX, y: wordY + englishSize * 1.3, size: englishSize, family: getPrintFontFamily('Latn'), lang: 'en', weight: 400, fill: MUTED }),
+      ].join('');
+    })
+    .join('');
+
+  const heading = svgText(title, {
+    x: header.x + header.width / 2,
+    y: header.y + header.height / 2 + titleSize * 0.35,
+    size: titleSize,
+    family: getPrintFontFamily('Latn'),
+    lang: 'en',
+  });
+  return svgPage(sheet, dpi, heading + content);
+}
+
+/** Rasterizes each SVG page and stacks them into a PDF at the paper's physical size. */
+async function buildPdf(svgs, sheet) {
+  const pdf = await PDFDocument.create();
+  const pageWidth = (sheet.width / MM_PER_INCH) * POINTS_PER_INCH;
+  const pageHeight = (sheet.height / MM_PER_INCH) * POINTS_PER_INCH;
+  for (const svg of svgs) {
+    const jpeg = await sharp(Buffer.from(svg)).flatten({ background: '#FFFFFF' }).jpeg({ quality: JPEG_QUALITY }).toBuffer();
+    const image = await pdf.embedJpg(jpeg);
+    pdf.addPage([pageWidth, pageHeight]).drawImage(image, { x: 0, y: 0, width: pageWidth, height: pageHeight });
+  }
+  return Buffer.from(await pdf.save());
+}
+
+/** Illustrations as PNG data URIs, downscaled to what the largest card needs at the chosen DPI. */
+async function loadImages(cards, dpi) {
+  const size = Math.ceil((120 / MM_PER_INCH) * dpi);
+  const entries = await Promise.all(
+    [...new Set(cards.map((card) => card.image))].map(async (file) => {
+      const buffer = await sharp(path.join(PUBLIC_DIR, file))
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer();
+      return [file, `data:image/png;base64,${buffer.toString('base64')}`];
+    })
+  );
+  return new Map(entries);
+}
+
+async function main() {
+  const options = parseArgs();
+  const unknownPaper = options.papers.find((paper) => !PAPER_SIZES[paper]);
+  if (unknownPaper) {
+    console.error(`❌ Unknown paper size "${unknownPaper}". Use one of: ${Object.keys(PAPER_SIZES).join(', ')}`);
+    process.exit(1);
+  }
+  if (!CARD_GRIDS[options.perPage]) {
+    console.error(`❌ Unsupported --per-page=${options.perPage}. Use one of: ${Object.keys(CARD_GRIDS).join(', ')}`);
+    process.exit(1);
+  }
+  if (!Number.isFinite(options.dpi) || options.dpi < 72 || options.dpi > 600) {
+    console.error('❌ --dpi must be between 72 and 600');
+    process.exit(1);
+  }
+
+  const { languages } = readJson('languages.json');
+  const uiStrings = readJson('ui-strings.json');
+  const data = {
+    stickers: readJson('stickers.json').stickers,
+    illustrations: readJson('illustrations.json').illustrations,
+    translations: readJson('word-translations.json'),
+  };
+
+  const unknown = (options.languages ?? []).filter((slug) => !languages.some((language) => language.slug === slug));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown language(s): ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+  const selected = options.languages ? languages.filter((language) => options.languages.includes(language.slug)) : languages;
+  const posterTitle = uiStrings.strings[uiStrings.defaultLocale]['printables.posterTitle'];
+
+  console.log(`\n🖨️  Printables for ${selected.length} language(s) — ${options.papers.join(', ')}, ${options.perPage} cards per page${options.backs ? ', with backs' : ''}`);
+  if (options.dryRun) console.log('   (dry run: nothing is written)');
+
+  let written = 0;
+  for (const language of selected) {
+    const cards = getPrintableCards(data, language.slug);
+    if (cards.length === 0) {
+      console.log(`⏭️  ${language.slug}: no translated words yet`);
+      continue;
+    }
+    const images = options.dryRun ? new Map() : await loadImages(cards, options.dpi);
+    const imageHref = (file) => images.get(file) ?? '';
+    const title = posterTitle.replace('{name}', language.name);
+    const dir = path.join(options.out, language.slug);
+
+    for (const paper of options.papers) {
+      const printOptions = { paper, perPage: options.perPage, backs: options.backs };
+      const outputs = [
+        { name: `flashcards-${paper}.pdf`, svgs: renderFlashcardSvgs(cards, language, printOptions, imageHref, options.dpi) },
+        { name: `poster-${paper}.pdf`, svgs: [renderPosterSvg(cards, language, title, printOptions, imageHref, options.dpi)] },
+      ];
+      for (const { name, svgs } of outputs) {
+        const file = path.join(dir, name);
+        if (options.dryRun) {
+          console.log(`   ${path.relative(ROOT_DIR, file)} — ${svgs.length} page(s), ${cards.length} words`);
+          continue;
+        }
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file, await buildPdf(svgs, PAPER_SIZES[paper]));
+        written += 1;
+        console.log(`✅ ${path.relative(ROOT_DIR, file)} — ${svgs.length} page(s), ${cards.length} words`);
+      }
+    }
+  }
+
+  if (!options.dryRun) console.log(`\n📄 Wrote ${written} PDF(s) to ${path.relative(ROOT_DIR, options.out)}\n`);
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -5,6 +5,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import OpenAI, { toFile } from 'openai';
+import { CATEGORIES, findCategory } from '../src/utils/categories.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,21 +16,6 @@ dotenv.config({ path: path.join(ROOT_DIR, '.env') });
 const OUTPUT_DIR = path.join(ROOT_DIR, 'public', 'showcase');
 const MANIFEST_FILE = path.join(ROOT_DIR, 'src', 'data', 'showcase-variants.json');
 
-const CATEGORIES = [
-  'Animals',
-  'Colors',
-  'Body Parts',
-  'Family',
-  'Food & Drink',
-  'Numbers',
-  'Actions',
-  'Nature',
-  'Feelings',
-  'Core Responses',
-  'Home Objects',
-  'Daily Words'
-];
-
 const DEFAULT_LANGUAGE_PAIRS = [
   { source: 'English', target: 'Somali' },
   { source: 'English', target: 'Spanish' },
@@ -95,7 +81,19 @@ function parseArgs() {
     } else if (arg.startsWith('--quality=')) {
       options.quality = arg.replace('--quality=', '').trim();
     } else if (arg.startsWith('--categories=')) {
-      options.categories = arg.replace('--categories=', '').split(',').map((item) => item.trim()).filter(Boolean);
+      options.categories = arg
+        .replace('--categories=', '')
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean)
+        .map((item) => {
+          const category = findCategory(item);
+          if (!category) {
+            console.error(`❌ Unknown category "${item}". Use one of: ${CATEGORIES.map(({ id }) => id).join(', ')}`);
+            process.exit(1);
+          }
+          return category;
+        });
     } else if (arg.startsWith('--pairs=')) {
       options.pairs = arg
         .replace('--pairs=', '')
@@ -138,14 +136,14 @@ function buildJobs(options) {
     const category = selectedCategories[index % selectedCategories.length];
     const pair = selectedPairs[Math.floor(index / selectedCategories.length) % selectedPairs.length];
     const pairSlug = `${slugify(pair.source)}-${slugify(pair.target)}`;
-    const categorySlug = slugify(category);
 
     jobs.push({
-      category,
-      categorySlug,
+      category: category.name,
+      categorySlug: category.id,
+      words: category.words,
       pair,
       pairSlug,
-      outputPath: path.join(OUTPUT_DIR, pairSlug, `${categorySlug}.png`),
+      outputPath: path.join(OUTPUT_DIR, pairSlug, `${category.id}.png`),
     });
 
     index += 1;
@@ -162,10 +160,13 @@ function buildPrompt(job) {
     'Use the attached reference images only as style and composition guidance.',
     'Preserve the same child-friendly visual language: rounded flat icons, soft pastel palette, clear spacing, minimal clutter.',
     'Include 4 to 6 objects that are unmistakably tied to the category.',
+    job.words.length > 0 ? `Prefer objects from the app's word list for this category: ${job.words.join(', ')}.` : '',
     'White background, no app frame, no overlays, no decorative UI chrome.',
     'No text, no letters, no numbers, no logo, no watermark.',
     `Cultural fit: choose objects that feel familiar and respectful for ${job.pair.target}-speaking households.`
-  ].join(' ');
+  ]
+    .filter(Boolean)
+    .join(' ');
 }
 
 async function toImageUpload(filePath) {
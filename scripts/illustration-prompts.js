@@ -5,6 +5,8 @@
  * consistent, child-friendly illustrations using OpenAI's gpt-image-1.5 model.
  */
 
+import { CATEGORIES, getWordCategory } from '../src/utils/categories.js';
+
 /**
  * Core style guide applied to all illustrations.
  * This ensures visual consistency across all generated images.
@@ -35,99 +37,104 @@ Style similar to modern educational apps for young children.
  * Each object has:
  * - id: unique identifier for the file name
  * - prompt: specific description of the object
- * - category: grouping for organization
+ * - category: id from the shared category catalog (src/utils/categories.js)
  */
-export const OBJECTS = [
+const PROMPTS = [
   // Animals
-  { id: 'cat', prompt: 'A sitting cat facing forward, orange tabby with simple friendly round eyes', category: 'animals' },
-  { id: 'dog', prompt: 'A sitting dog facing forward, golden retriever puppy with happy expression and tongue out slightly', category: 'animals' },
-  { id: 'bird', prompt: 'A small songbird perched, bright blue with orange chest, side profile', category: 'animals' },
-  { id: 'fish', prompt: 'A single goldfish swimming, orange with simple fins, side view', category: 'animals' },
-  { id: 'butterfly', prompt: 'A butterfly with wings spread open, symmetrical, blue and purple wings', category: 'animals' },
-  { id: 'elephant', prompt: 'A baby elephant facing slightly to the side, gray with big ears and small trunk raised', category: 'animals' },
-  { id: 'rabbit', prompt: 'A sitting bunny rabbit, white with long ears up, facing forward', category: 'animals' },
-  { id: 'duck', prompt: 'A yellow rubber duck or duckling, classic friendly shape, side view', category: 'animals' },
-  { id: 'bear', prompt: 'A friendly teddy-style bear sitting facing forward, soft brown with round ears and gentle expression', category: 'animals' },
+  { id: 'cat', prompt: 'A sitting cat facing forward, orange tabby with simple friendly round eyes' },
+  { id: 'dog', prompt: 'A sitting dog facing forward, golden retriever puppy with happy expression and tongue out slightly' },
+  { id: 'bird', prompt: 'A small songbird perched, bright blue with orange chest, side profile' },
+  { id: 'fish', prompt: 'A single goldfish swimming, orange with simple fins, side view' },
+  { id: 'butterfly', prompt: 'A butterfly with wings spread open, symmetrical, blue and purple wings' },
+  { id: 'elephant', prompt: 'A baby elephant facing slightly to the side, gray with big ears and small trunk raised' },
+  { id: 'rabbit', prompt: 'A sitting bunny rabbit, white with long ears up, facing forward' },
+  { id: 'duck', prompt: 'A yellow rubber duck or duckling, classic friendly shape, side view' },
+  { id: 'bear', prompt: 'A friendly teddy-style bear sitting facing forward, soft brown with round ears and gentle expression' },
   
   // Food
-  { id: 'apple', prompt: 'A single red apple with a small green leaf on a short brown stem', category: 'food' },
-  { id: 'banana', prompt: 'A single yellow banana, slightly curved, bright and ripe', category: 'food' },
-  { id: 'orange', prompt: 'A whole orange fruit with small dimpled texture and tiny green leaf', category: 'food' },
-  { id: 'strawberry', prompt: 'A single red strawberry with green leaves on top and visible seeds', category: 'food' },
-  { id: 'carrot', prompt: 'An orange carrot with green leafy top, tapered shape', category: 'food' },
-  { id: 'cookie', prompt: 'A round chocolate chip cookie, golden brown with visible chips', category: 'food' },
-  { id: 'milk', prompt: 'A glass of white milk, simple cylindrical glass shape', category: 'food' },
-  { id: 'bread', prompt: 'A slice of bread, light tan/beige color, simple rectangular shape with rounded top', category: 'food' },
+  { id: 'apple', prompt: 'A single red apple with a small green leaf on a short brown stem' },
+  { id: 'banana', prompt: 'A single yellow banana, slightly curved, bright and ripe' },
+  { id: 'orange', prompt: 'A whole orange fruit with small dimpled texture and tiny green leaf' },
+  { id: 'strawberry', prompt: 'A single red strawberry with green leaves on top and visible seeds' },
+  { id: 'carrot', prompt: 'An orange carrot with green leafy top, tapered shape' },
+  { id: 'cookie', prompt: 'A round chocolate chip cookie, golden brown with visible chips' },
+  { id: 'milk', prompt: 'A glass of white milk, simple cylindrical glass shape' },
+  { id: 'bread', prompt: 'A slice of bread, light tan/beige color, simple rectangular shape with rounded top' },
   
   // Objects
-  { id: 'ball', prompt: 'A simple round ball with two-tone colors, red and white sections like a beach ball', category: 'toys' },
-  { id: 'blocks', prompt: 'Three colorful stacking blocks in red, blue, and yellow, arranged in a small stack', category: 'toys' },
-  { id: 'teddy', prompt: 'A sitting teddy bear, brown plush with round ears and friendly face', category: 'toys' },
-  { id: 'car', prompt: 'A simple toy car, red with visible wheels, side profile', category: 'toys' },
-  { id: 'star', prompt: 'A five-pointed star, bright yellow/gold, filled solid', category: 'shapes' },
-  { id: 'heart', prompt: 'A simple heart shape, solid pink/red, symmetrical', category: 'shapes' },
-  { id: 'moon', prompt: 'A crescent moon, pale yellow/cream color, simple curved shape', category: 'nature' },
-  { id: 'sun', prompt: 'A happy sun with simple rays extending outward, warm yellow/orange', category: 'nature' },
-  { id: 'flower', prompt: 'A simple daisy flower, white petals with yellow center, single green stem', category: 'nature' },
-  { id: 'tree', prompt: 'A simple tree with brown trunk and round green leafy top, stylized', category: 'nature' },
-  { id: 'cloud', prompt: 'A fluffy white cloud, simple rounded cumulus shape', category: 'nature' },
-  { id: 'rainbow', prompt: 'A simple rainbow arc with traditional ROYGBIV colors, semicircle', category: 'nature' },
+  { id: 'ball', prompt: 'A simple round ball with two-tone colors, red and white sections like a beach ball' },
+  { id: 'blocks', prompt: 'Three colorful stacking blocks in red, blue, and yellow, arranged in a small stack' },
+  { id: 'teddy', prompt: 'A sitting teddy bear, brown plush with round ears and friendly face' },
+  { id: 'car', prompt: 'A simple toy car, red with visible wheels, side profile' },
+  { id: 'star', prompt: 'A five-pointed star, bright yellow/gold, filled solid' },
+  { id: 'heart', prompt: 'A simple heart shape, solid pink/red, symmetrical' },
+  { id: 'moon', prompt: 'A crescent moon, pale yellow/cream color, simple curved shape' },
+  { id: 'sun', prompt: 'A happy sun with simple rays extending outward, warm yellow/orange' },
+  { id: 'flower', prompt: 'A simple daisy flower, white petals with yellow center, single green stem' },
+  { id: 'tree', prompt: 'A simple tree with brown trunk and round green leafy top, stylized' },
+  { id: 'cloud', prompt: 'A fluffy white cloud, simple rounded cumulus shape' },
+  { id: 'rainbow', prompt: 'A simple rainbow arc with traditional ROYGBIV colors, semicircle' },
 
   // Numbers
-  { id: 'one', prompt: 'A single counting block, bright blue, centered', category: 'numbers' },
-  { id: 'two', prompt: 'Two matching counting blocks, blue and green, side by side', category: 'numbers' },
-  { id: 'three', prompt: 'Three small counting blocks in a neat row, red yellow and blue', category: 'numbers' },
-  { id: 'four', prompt: 'Four rounded pebbles arranged in a square, soft pastel colors', category: 'numbers' },
-  { id: 'five', prompt: 'Five colorful counting beads arranged in a shallow arc', category: 'numbers' },
-  { id: 'six', prompt: 'Six soft round dots arranged in two rows of three, rainbow colors', category: 'numbers' },
-  { id: 'seven', prompt: 'Seven counting beads arranged on a gentle curved line', category: 'numbers' },
-  { id: 'eight', prompt: 'Eight small stars arranged in a neat circular ring', category: 'numbers' },
+  { id: 'one', prompt: 'A single counting block, bright blue, centered' },
+  { id: 'two', prompt: 'Two matching counting blocks, blue and green, side by side' },
+  { id: 'three', prompt: 'Three small counting blocks in a neat row, red yellow and blue' },
+  { id: 'four', prompt: 'Four rounded pebbles arranged in a square, soft pastel colors' },
+  { id: 'five', prompt: 'Five colorful counting beads arranged in a shallow arc' },
+  { id: 'six', prompt: 'Six soft round dots arranged in two rows of three, rainbow colors' },
+  { id: 'seven', prompt: 'Seven counting beads arranged on a gentle curved line' },
+  { id: 'eight', prompt: 'Eight small stars arranged in a neat circular ring' },
 
   // Feelings
-  { id: 'happy', prompt: 'A friendly smiling face icon, round yellow face with bright eyes', category: 'feelings' },
-  { id: 'sad', prompt: 'A gentle sad face icon, round blue face with a downturned mouth', category: 'feelings' },
-  { id: 'excited', prompt: 'A joyful excited face icon with wide smile and tiny sparkle accents', category: 'feelings' },
-  { id: 'calm', prompt: 'A peaceful calm face icon with closed eyes and a soft smile, pastel teal', category: 'feelings' },
+  { id: 'happy', prompt: 'A friendly smiling face icon, round yellow face with bright eyes' },
+  { id: 'sad', prompt: 'A gentle sad face icon, round blue face with a downturned mouth' },
+  { id: 'excited', prompt: 'A joyful excited face icon with wide smile and tiny sparkle accents' },
+  { id: 'calm', prompt: 'A peaceful calm face icon with closed eyes and a soft smile, pastel teal' },
 
   // Concepts
-  { id: 'love', prompt: 'Two overlapping heart shapes, pink and red, simple and soft', category: 'concepts' },
-  { id: 'friendship', prompt: 'Two friendly child-like figures standing side by side with arms around each other', category: 'concepts' },
-  { id: 'kindness', prompt: 'Two open hands with dark brown skin tones gently holding a small heart', category: 'concepts' },
-  { id: 'sharing', prompt: 'Two hands passing a toy block to each other', category: 'concepts' },
+  { id: 'love', prompt: 'Two overlapping heart shapes, pink and red, simple and soft' },
+  { id: 'friendship', prompt: 'Two friendly child-like figures standing side by side with arms around each other' },
+  { id: 'kindness', prompt: 'Two open hands with dark brown skin tones gently holding a small heart' },
+  { id: 'sharing', prompt: 'Two hands passing a toy block to each other' },
 
   // Objects
-  { id: 'clock', prompt: 'A simple round wall clock with short and long hands, pastel frame', category: 'objects' },
-  { id: 'key', prompt: 'A classic simple key, golden color with a rounded head', category: 'objects' },
-  { id: 'gift', prompt: 'A wrapped gift box with a ribbon bow, red and cream colors', category: 'objects' },
+  { id: 'clock', prompt: 'A simple round wall clock with short and long hands, pastel frame' },
+  { id: 'key', prompt: 'A classic simple key, golden color with a rounded head' },
+  { id: 'gift', prompt: 'A wrapped gift box with a ribbon bow, red and cream colors' },
 
   // Transport & everyday objects
-  { id: 'rocket', prompt: 'A simple toy rocket, red and white, upright with rounded fins', category: 'transport' },
-  { id: 'bicycle', prompt: 'A child bicycle in side view, blue frame with simple wheels', category: 'transport' },
-  { id: 'train', prompt: 'A friendly toy train engine, side view, colorful and rounded', category: 'transport' },
-  { id: 'airplane', prompt: 'A small passenger airplane in side view, simple rounded shape', category: 'transport' },
-  { id: 'boat', prompt: 'A small sailboat with one triangular sail, simple child-friendly style', category: 'transport' },
-  { id: 'backpack', prompt: 'A child backpack, teal with a front pocket and rounded top', category: 'objects' },
-  { id: 'umbrella', prompt: 'A simple open umbrella, rainbow colors with curved handle', category: 'objects' },
+  { id: 'rocket', prompt: 'A simple toy rocket, red and white, upright with rounded fins' },
+  { id: 'bicycle', prompt: 'A child bicycle in side view, blue frame with simple wheels' },
+  { id: 'train', prompt: 'A friendly toy train engine, side view, colorful and rounded' },
+  { id: 'airplane', prompt: 'A small passenger airplane in side view, simple rounded shape' },
+  { id: 'boat', prompt: 'A small sailboat with one triangular sail, simple child-friendly style' },
+  { id: 'backpack', prompt: 'A child backpack, teal with a front pocket and rounded top' },
+  { id: 'umbrella', prompt: 'A simple open umbrella, rainbow colors with curved handle' },
 
   // More variety set
-  { id: 'toothbrush', prompt: 'A child toothbrush, blue and white with soft bristles', category: 'objects' },
-  { id: 'spoon', prompt: 'A single spoon, silver with rounded handle', category: 'objects' },
-  { id: 'glasses', prompt: 'A pair of round eyeglasses, friendly simple frame', category: 'objects' },
-  { id: 'puzzle', prompt: 'A jigsaw puzzle piece, bright green with rounded tabs', category: 'toys' },
-  { id: 'drum', prompt: 'A small toy drum with two drumsticks crossed on top', category: 'toys' },
-  { id: 'kite', prompt: 'A diamond kite with a tail and bows, bright friendly colors', category: 'toys' },
-  { id: 'telescope', prompt: 'A child telescope on a simple tripod, blue and orange', category: 'objects' },
+  { id: 'toothbrush', prompt: 'A child toothbrush, blue and white with soft bristles' },
+  { id: 'spoon', prompt: 'A single spoon, silver with rounded handle' },
+  { id: 'glasses', prompt: 'A pair of round eyeglasses, friendly simple frame' },
+  { id: 'puzzle', prompt: 'A jigsaw puzzle piece, bright green with rounded tabs' },
+  { id: 'drum', prompt: 'A small toy drum with two drumsticks crossed on top' },
+  { id: 'kite', prompt: 'A diamond kite with a tail and bows, bright friendly colors' },
+  { id: 'telescope', prompt: 'A child telescope on a simple tripod, blue and orange' },
   
   // Clothing & Body
-  { id: 'shoe', prompt: 'A single child sneaker shoe, red with white sole, side view', category: 'clothing' },
-  { id: 'hat', prompt: 'A simple baseball cap, blue, side/front view', category: 'clothing' },
+  { id: 'shoe', prompt: 'A single child sneaker shoe, red with white sole, side view' },
+  { id: 'hat', prompt: 'A simple baseball cap, blue, side/front view' },
   
   // Household
-  { id: 'cup', prompt: 'A simple drinking cup or mug, blue with a handle, side view', category: 'household' },
-  { id: 'book', prompt: 'A closed book, red cover, slightly angled view showing spine', category: 'household' },
-  { id: 'chair', prompt: 'A simple wooden chair, brown, front-angled view', category: 'household' },
+  { id: 'cup', prompt: 'A simple drinking cup or mug, blue with a handle, side view' },
+  { id: 'book', prompt: 'A closed book, red cover, slightly angled view showing spine' },
+  { id: 'chair', prompt: 'A simple wooden chair, brown, front-angled view' },
 ];
 
+export const OBJECTS = PROMPTS.map((object) => ({
+  ...object,
+  category: getWordCategory(object.id)?.id ?? null,
+}));
+
 /**
  * Build a complete prompt for a given object.
  * Combines the specific object description with the style guide.
@@ -144,10 +151,12 @@ export function getObjectsByCategory(category) {
 }
 
 /**
- * Get all unique categories.
+ * Get the ids of catalog categories that have objects, in catalog order.
  */
 export function getCategories() {
-  return [...new Set(OBJECTS.map(obj => obj.category))];
+  return CATEGORIES.filter((category) => OBJECTS.some((obj) => obj.category === category.id)).map(
+    (category) => category.id
+  );
 }
 
 /**
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+/**
+ * First 100 Language Demand Report
+ *
+ * Aggregates the requests collected by scripts/request-intake-server.js by
+ * target language, pairing language, region/dialect and priority category.
+ * Free-text language names are matched against src/data/languages.json
+ * (names, native names, romanizations, alternate names, ISO codes), so
+ * "Soomaali", "somali " and "so" all count towards Somali.
+ *
+ * Prints a summary and writes src/data/language-demand.json, which the
+ * languages page renders as "Most requested languages". The JSON holds
+ * counts only — never names, emails or notes — and only for languages in the
+ * catalog. Anything else a visitor typed (unmatched names, regions) stays in
+ * the terminal summary, so it can't end up on the public page.
+ *
+ * Usage:
+ *   node scripts/language-demand-report.js
+ *   node scripts/language-demand-report.js --input=data/language-requests.jsonl
+ *   node scripts/language-demand-report.js --top=10 --dry-run
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const DEFAULT_INPUT = path.join(ROOT_DIR, 'data', 'language-requests.jsonl');
+const DEFAULT_OUTPUT = path.join(ROOT_DIR, 'src', 'data', 'language-demand.json');
+const LANGUAGES_FILE = path.join(ROOT_DIR, 'src', 'data', 'languages.json');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    input: DEFAULT_INPUT,
+    output: DEFAULT_OUTPUT,
+    top: 10,
+    dryRun: false,
+  };
+
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--input=')) {
+      options.input = path.resolve(ROOT_DIR, arg.replace('--input=', '').trim());
+    } else if (arg.startsWith('--output=')) {
+      options.output = path.resolve(ROOT_DIR, arg.replace('--output=', '').trim());
+    } else if (arg.startsWith('--top=')) {
+      options.top = Number(arg.replace('--top=', '')) || options.top;
+    }
+  }
+
+  return options;
+}
+
+// Same folding as the site search (src/utils/search-text.ts).
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function titleCase(text) {
+  return text.replace(/(^|\s)\p{L}/gu, (letter) => letter.toUpperCase());
+}
+
+/**
+ * Builds a lookup from every normalized name a language goes by to its entry.
+ */
+export function buildLanguageMatcher(languages) {
+  const byName = new Map();
+  for (const language of languages) {
+    const names = [
+      language.slug,
+      language.name,
+      language.nativeName,
+      language.romanizedName,
+      ...(language.alternateNames || []),
+      language.iso639?.[1],
+      language.iso639?.[3],
+    ];
+    for (const name of names) {
+      if (name) byName.set(normalize(name), language);
+    }
+  }
+
+  /**
+   * Matches free text such as "chinese" or "Somali (Northern)" to a catalog
+   * language. Words after a matched prefix ("northern") come back as `rest`,
+   * usually a dialect. Returns null when nothing matches.
+   */
+  return function matchLanguage(text) {
+    const query = normalize(text);
+    if (!query) return null;
+    if (byName.has(query)) return { language: byName.get(query), rest: '' };
+    const words = query.split(' ');
+    for (let length = words.length - 1; length > 0; length -= 1) {
+      const prefix = words.slice(0, length).join(' ');
+      if (byName.has(prefix)) return { language: byName.get(prefix), rest: words.slice(length).join(' ') };
+    }
+    return null;
+  };
+}
+
+function tally(map, key, name, extra = {}) {
+  const entry = map.get(key) || { name, ...extra, count: 0 };
+  entry.count += 1;
+  map.set(key, entry);
+  return entry;
+}
+
+const byCount = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+
+/**
+ * Aggregates raw requests into the report written to language-demand.json.
+ */
+export function buildDemandReport(requests, languages, { generatedAt = new Date().toISOString() } = {}) {
+  const matchLanguage = buildLanguageMatcher(languages);
+  const targets = new Map();
+  const pairs = new Map();
+  const categories = new Map();
+
+  const resolve = (text) => {
+    const match = matchLanguage(text);
+    if (!match) {
+      return { key: normalize(text), name: titleCase(normalize(text)), slug: null, status: null, rest: '' };
+    }
+    const { language, rest } = match;
+    return { key: language.slug, name: language.name, slug: language.slug, status: language.status, rest };
+  };
+
+  for (const request of requests) {
+    const target = resolve(request.targetLanguage);
+    if (!target.key) continue;
+
+    const entry = tally(targets, target.key, target.name, {
+      slug: target.slug,
+      status: target.status,
+      pairs: new Map(),
+      regions: new Map(),
+    });
+
+    const pair = resolve(request.pairLanguage);
+    if (pair.key) {
+      tally(entry.pairs, pair.key, pair.name, { slug: pair.slug });
+      tally(pairs, pair.key, pair.name, { slug: pair.slug });
+    }
+
+    // A dialect typed into the language field ("Arabic (Egyptian)") counts as the region.
+    const region = normalize(request.region) || target.rest;
+    if (region) {
+      tally(entry.regions, region, titleCase(region));
+    }
+
+    for (const category of new Set(request.categories || [])) {
+      tally(categories, category, category);
+    }
+  }
+
+  return {
+    generatedAt,
+    totalRequests: requests.length,
+    targetLanguages: [...targets.values()].sort(byCount).map(({ pairs: pairMap, regions, ...entry }) => ({
+      ...entry,
+      pairLanguages: [...pairMap.values()].sort(byCount),
+      regions: [...regions.values()].sort(byCount),
+    })),
+    pairLanguages: [...pairs.values()].sort(byCount),
+    categories: [...categories.values()].sort(byCount),
+  };
+}
+
+/**
+ * The part of a report that is safe to commit and publish: catalog languages
+ * and categories only. Free text from the form never leaves the CLI summary.
+ */
+export function toPublishedReport(report) {
+  const matched = (entries) => entries.filter((entry) => entry.slug);
+  return {
+    generatedAt: report.generatedAt,
+    totalRequests: report.totalRequests,
+    targetLanguages: matched(report.targetLanguages).map(({ regions, pairLanguages, ...entry }) => ({
+      ...entry,
+      pairLanguages: matched(pairLanguages),
+    })),
+    pairLanguages: matched(report.pairLanguages),
+    categories: report.categories,
+  };
+}
+
+function readRequests(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .flatMap((line, index) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        console.warn(`⚠️  Skipping unreadable line ${index + 1}`);
+        return [];
+      }
+    });
+}
+
+function printSummary(report, top) {
+  const status = (entry) => (entry.slug ? entry.status : 'not in catalog');
+
+  console.log(`\n📊 Language demand — ${report.totalRequests} request(s)\n`);
+  console.log('Target languages');
+  for (const entry of report.targetLanguages.slice(0, top)) {
+    const pairsText = entry.pairLanguages.map((pair) => `${pair.name} ${pair.count}`).join(', ');
+    console.log(`  ${String(entry.count).padStart(4)}  ${entry.name} (${status(entry)})${pairsText ? ` — paired with ${pairsText}` : ''}`);
+    for (const region of entry.regions.slice(0, 3)) {
+      console.log(`        · ${region.name} ${region.count}`);
+    }
+  }
+
+  console.log('\nPairing languages');
+  for (const entry of report.pairLanguages.slice(0, top)) {
+    console.log(`  ${String(entry.count).padStart(4)}  ${entry.name}`);
+  }
+
+  console.log('\nPriority categories');
+  for (const entry of report.categories.slice(0, top)) {
+    console.log(`  ${String(entry.count).padStart(4)}  ${entry.name}`);
+  }
+}
+
+function main() {
+  const options = parseArgs();
+  const languages = JSON.parse(fs.readFileSync(LANGUAGES_FILE, 'utf8')).languages;
+  const requests = readRequests(options.input);
+
+  if (requests.length === 0) {
+    console.log(`No requests found in ${path.relative(ROOT_DIR, options.input)}.`);
+  }
+
+  const report = buildDemandReport(requests, languages);
+  printSummary(report, options.top);
+
+  if (options.dryRun) {
+    console.log('\n(dry run — nothing written)\n');
+    return;
+  }
+
+  fs.writeFileSync(options.output, `${JSON.stringify(toPublishedReport(report), null, 2)}\n`);
+  console.log(`\n📋 Wrote ${path.relative(ROOT_DIR, options.output)}\n`);
+}
+
+if (process.argv[1] === __filename) {
+  main();
+}
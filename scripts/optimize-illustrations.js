@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * First 100 Illustration Optimizer
+ *
+ * Generated illustrations are 1024×1024 PNGs, but the site shows them at
+ * sticker size (56–160px). This writes resized AVIF and WebP copies of each
+ * illustration in src/data/illustrations.json to public/illustrations/variants/
+ * and records them in the manifest, so components can serve them with
+ * `<picture>` and `srcset`. The original PNG stays the fallback and the
+ * source for share cards and printables.
+ *
+ * generate-illustrations.js runs this for every new image. Run it yourself
+ * after adding or replacing an illustration by hand. Variants that are newer
+ * than their source are left alone.
+ *
+ * Usage:
+ *   node scripts/optimize-illustrations.js
+ *   node scripts/optimize-illustrations.js --only=cat,dog
+ *   node scripts/optimize-illustrations.js --force     # Re-encode everything
+ *   node scripts/optimize-illustrations.js --dry-run   # List what would be written
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
+const MANIFEST_FILE = path.join(ROOT_DIR, 'src', 'data', 'illustrations.json');
+
+/** Widths cover 1x–3x screens for the 56–160px sizes the site uses. */
+export const VARIANT_WIDTHS = [96, 192, 320];
+
+/** Formats in preference order; `<picture>` lists them in this order. */
+export const VARIANT_FORMATS = {
+  avif: (image) => image.avif({ quality: 55, effort: 4 }),
+  webp: (image) => image.webp({ quality: 80, alphaQuality: 90 }),
+};
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    only: null,
+    force: false,
+    dryRun: false,
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith('--only=')) {
+      options.only = arg.replace('--only=', '').split(',').map((id) => id.trim()).filter(Boolean);
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Public paths of every variant for an illustration, by format and width.
+ * Widths wider than the source are skipped rather than upscaled.
+ *
+ * @returns {Record<string, Record<string, string>>} e.g. `{ avif: { "96": "/illustrations/variants/cat-96.avif" } }`
+ */
+export function getVariantPaths(id, sourceWidth) {
+  const widths = VARIANT_WIDTHS.filter((width) => width < sourceWidth);
+  return Object.fromEntries(
+    Object.keys(VARIANT_FORMATS).map((format) => [
+      format,
+      Object.fromEntries(widths.map((width) => [String(width), `/illustrations/variants/${id}-${width}.${format}`])),
+    ])
+  );
+}
+
+function isFresh(file, sourceStat) {
+  return fs.existsSync(file) && fs.statSync(file).mtimeMs >= sourceStat.mtimeMs;
+}
+
+/**
+ * Writes the variants for one manifest entry. Returns the entry with its
+ * source `width`, `height` and `variants` filled in, and how many files were
+ * (or, with `dryRun`, would be) written. SVG illustrations scale on their
+ * own and come back unchanged with `skipped` set.
+ */
+export async function optimizeIllustration(entry, { force = false, dryRun = false } = {}) {
+  if (!entry.file.endsWith('.png')) {
+    return { entry, written: 0, skipped: true };
+  }
+  const sourceFile = path.join(PUBLIC_DIR, entry.file);
+  const sourceStat = fs.statSync(sourceFile);
+  const { width, height } = await sharp(sourceFile).metadata();
+  const variants = getVariantPaths(entry.id, width);
+
+  let written = 0;
+  for (const [format, files] of Object.entries(variants)) {
+    for (const [variantWidth, file] of Object.entries(files)) {
+      const outputFile = path.join(PUBLIC_DIR, file);
+      if (!force && isFresh(outputFile, sourceStat)) continue;
+      written += 1;
+      if (dryRun) continue;
+      fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+      await VARIANT_FORMATS[format](sharp(sourceFile).resize({ width: Number(variantWidth) })).toFile(outputFile);
+    }
+  }
+
+  return { entry: { ...entry, width, height, variants }, written, skipped: false };
+}
+
+async function main() {
+  const options = parseArgs();
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+  const selected = options.only
+    ? manifest.illustrations.filter((entry) => options.only.includes(entry.id))
+    : manifest.illustrations;
+
+  if (options.only && selected.length === 0) {
+    console.error(`❌ No illustrations found matching: ${options.only.join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`\n🖼️  Optimizing ${selected.length} illustration(s): ${VARIANT_WIDTHS.join(', ')}px × ${Object.keys(VARIANT_FORMATS).join(', ')}`);
+  if (options.dryRun) console.log('   (dry run: nothing is written)');
+
+  let total = 0;
+  for (const entry of selected) {
+    const result = await optimizeIllustration(entry, options);
+    if (result.skipped) {
+      console.log(`⏭️  ${entry.id}: ${path.extname(entry.file)} needs no variants`);
+      continue;
+    }
+    total += result.written;
+    const index = manifest.illustrations.indexOf(entry);
+    manifest.illustrations[index] = result.entry;
+    console.log(`${result.written > 0 ? '✅' : '✔️ '} ${entry.id}: ${result.written} variant(s) ${options.dryRun ? 'to write' : 'written'}`);
+  }
+
+  if (!options.dryRun) {
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+  }
+  console.log(`\n📁 ${total} file(s) ${options.dryRun ? 'would be written' : 'written'} to public/illustrations/variants/\n`);
+}
+
+if (process.argv[1] === __filename) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
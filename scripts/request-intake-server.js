@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * First 100 Request Intake Server
+ *
+ * A small HTTP server that accepts language requests from the request form
+ * and "notify me" signups from the waitlist form, validates them with the
+ * same rules as the forms and appends each one as a JSON line to a local
+ * file. Lets both flows run without an external service; point
+ * PUBLIC_REQUEST_ENDPOINT and PUBLIC_WAITLIST_ENDPOINT at it when building.
+ *
+ * Usage:
+ *   node scripts/request-intake-server.js
+ *   node scripts/request-intake-server.js --port=8787 --file=data/language-requests.jsonl
+ *   node scripts/request-intake-server.js --waitlist-file=data/waitlist.jsonl
+ *   node scripts/request-intake-server.js --origin=https://first100.app
+ *
+ * Endpoints:
+ *   POST /requests   JSON body → 201 { ok, id } or 400 { ok: false, errors }
+ *   POST /waitlist   JSON body → 201 { ok, id } or 400 { ok: false, errors }
+ *   GET  /health     200 { ok: true }
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { validateLanguageRequest } from '../src/utils/language-request.js';
+import { validateWaitlistSignup } from '../src/utils/waitlist-signup.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const DEFAULT_FILE = path.join(ROOT_DIR, 'data', 'language-requests.jsonl');
+const DEFAULT_WAITLIST_FILE = path.join(ROOT_DIR, 'data', 'waitlist.jsonl');
+const LANGUAGES_FILE = path.join(ROOT_DIR, 'src', 'data', 'languages.json');
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 16 * 1024;
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    port: Number(process.env.PORT) || DEFAULT_PORT,
+    host: process.env.HOST || '127.0.0.1',
+    file: DEFAULT_FILE,
+    waitlistFile: DEFAULT_WAITLIST_FILE,
+    origin: '*',
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith('--port=')) {
+      options.port = Number(arg.replace('--port=', ''));
+    } else if (arg.startsWith('--host=')) {
+      options.host = arg.replace('--host=', '').trim();
+    } else if (arg.startsWith('--waitlist-file=')) {
+      options.waitlistFile = path.resolve(ROOT_DIR, arg.replace('--waitlist-file=', '').trim());
+    } else if (arg.startsWith('--file=')) {
+      options.file = path.resolve(ROOT_DIR, arg.replace('--file=', '').trim());
+    } else if (arg.startsWith('--origin=')) {
+      options.origin = arg.replace('--origin=', '').trim();
+    }
+  }
+
+  return options;
+}
+
+/**
+ * An append-only JSON lines file. `keysOf` lists the keys a record is known
+ * by; a record sharing any key with a stored one is acknowledged without
+ * being written again (a retry from a form's offline queue, or the same
+ * email joining a waitlist twice).
+ */
+function createJsonlStore(file, keysOf) {
+  const storedKeys = new Set();
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n').filter(Boolean)) {
+      try {
+        keysOf(JSON.parse(line)).forEach((key) => storedKeys.add(key));
+      } catch {
+        // Skip unreadable lines; they can't be duplicates of anything.
+      }
+    }
+  }
+
+  return {
+    /** Appends the record unless it is already stored; returns whether it was written. */
+    add(record) {
+      const keys = keysOf(record);
+      if (keys.some((key) => storedKeys.has(key))) {
+        return false;
+      }
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+      keys.forEach((key) => storedKeys.add(key));
+      return true;
+    },
+  };
+}
+
+/** Slugs of the languages that take waitlist signups. */
+function loadWaitlistLanguages() {
+  const { languages } = JSON.parse(fs.readFileSync(LANGUAGES_FILE, 'utf8'));
+  return languages.filter((language) => language.status === 'coming-soon').map((language) => language.slug);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Keep draining so the 413 response can still be written on this socket.
+      if (size <= MAX_BODY_BYTES) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        return;
+      }
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Creates (but does not start) the intake server.
+ *
+ * @param {{ file?: string, waitlistFile?: string, origin?: string, waitlistLanguages?: string[] }} [options]
+ */
+export function createIntakeServer({
+  file = DEFAULT_FILE,
+  waitlistFile = DEFAULT_WAITLIST_FILE,
+  origin = '*',
+  waitlistLanguages = loadWaitlistLanguages(),
+} = {}) {
+  const routes = {
+    '/requests': {
+      validate: (payload) => validateLanguageRequest(payload),
+      store: createJsonlStore(file, (record) => [record.id]),
+    },
+    '/waitlist': {
+      validate: (payload) => validateWaitlistSignup(payload, { languages: waitlistLanguages }),
+      store: createJsonlStore(waitlistFile, (record) => [record.id, `${record.language}:${record.email}`]),
+    },
+  };
+
+  return http.createServer(async (req, res) => {
+    const send = (statusCode, body) => {
+      res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      });
+      res.end(statusCode === 204 ? undefined : JSON.stringify(body));
+    };
+
+    const { pathname } = new URL(req.url || '/', 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      send(204, {});
+      return;
+    }
+    if (pathname === '/health' && req.method === 'GET') {
+      send(200, { ok: true });
+      return;
+    }
+    const route = routes[pathname];
+    if (!route) {
+      send(404, { ok: false, error: 'Not found' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      send(405, { ok: false, error: 'Method not allowed' });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (error) {
+      send(error.statusCode || 400, { ok: false, error: error.statusCode ? error.message : 'Invalid JSON' });
+      return;
+    }
+
+    const { value, errors } = route.validate(payload);
+    if (Object.keys(errors).length > 0) {
+      send(400, { ok: false, errors });
+      return;
+    }
+
+    const record = {
+      ...value,
+      id: value.id || randomUUID(),
+      submittedAt: value.submittedAt || new Date().toISOString(),
+      receivedAt: new Date().toISOString(),
+    };
+    try {
+      route.store.add(record);
+    } catch (error) {
+      // A full disk or an unwritable file must not take the server down; the form's offline queue retries later.
+      console.error(`❌ Could not store ${pathname} submission: ${error.message}`);
+      send(500, { ok: false });
+      return;
+    }
+
+    send(201, { ok: true, id: record.id });
+  });
+}
+
+function main() {
+  const options = parseArgs();
+  const server = createIntakeServer(options);
+
+  server.listen(options.port, options.host, () => {
+    console.log(`📮 Request intake server listening on http://${options.host}:${options.port}`);
+    console.log(`   POST /requests → ${path.relative(ROOT_DIR, options.file)}`);
+    console.log(`   POST /waitlist → ${path.relative(ROOT_DIR, options.waitlistFile)}`);
+    console.log(`   Allowed origin: ${options.origin}`);
+  });
+}
+
+if (process.argv[1] === __filename) {
+  main();
+}
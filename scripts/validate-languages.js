@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Language catalog schema
+ *
+ * The formal schema for src/data/languages.json. `npm run build` runs this
+ * before `astro build` and `npm test` asserts against it, so a malformed
+ * entry fails loudly instead of rendering a broken /l/[slug] page.
+ *
+ * Usage:
+ *   node scripts/validate-languages.js
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { z } from 'astro/zod';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const LANGUAGES_FILE = path.join(ROOT_DIR, 'src', 'data', 'languages.json');
+
+// ISO 15924 scripts written right to left.
+const RTL_SCRIPTS = new Set(['Arab', 'Hebr', 'Syrc', 'Thaa', 'Nkoo', 'Adlm']);
+
+const nonEmpty = z.string().trim().min(1);
+const storeUrl = z.string().url().nullable();
+const status = z.enum(['available', 'coming-soon']);
+const isoDate = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}$/, 'must be a date such as "2026-02-16"')
+  .refine((value) => !Number.isNaN(Date.parse(value)), 'is not a real date');
+
+export const languageSchema = z
+  .object({
+    slug: z.string().regex(/^[a-z0-9-]+$/, 'must be lowercase alphanumeric and hyphens only'),
+    name: nonEmpty,
+    nativeName: nonEmpty,
+    /** The native name in Latin script; required when `script` is not Latin */
+    romanizedName: nonEmpty.optional(),
+    alternateNames: z.array(nonEmpty),
+    iso639: z
+      .object({
+        1: z.string().regex(/^[a-z]{2}$/, 'must be a two-letter ISO 639-1 code').nullable(),
+        3: z.string().regex(/^[a-z]{3}$/, 'must be a three-letter ISO 639-3 code'),
+      })
+      .strict(),
+    direction: z.enum(['ltr', 'rtl']),
+    speechLocale: z
+      .string()
+      .regex(/^[a-z]{2,3}(-[A-Z][a-z]{3})?(-[A-Z]{2}|-\d{3})?$/, 'must be a BCP-47 tag such as "so-SO"'),
+    script: z.string().regex(/^[A-Z][a-z]{3}$/, 'must be an ISO 15924 code such as "Latn"'),
+    regions: z.array(z.string().regex(/^[A-Z]{2}$/, 'must be an ISO 3166-1 alpha-2 code')).min(1),
+    family: nonEmpty,
+    status,
+    /**
+     * Every recorded status change, oldest first; the last entry is the current
+     * status. Empty until the first change is recorded: dates are only added
+     * when they are known, since /whats-new publishes them.
+     */
+    statusHistory: z.array(z.object({ status, date: isoDate }).strict()),
+    appStore: storeUrl,
+    playStore: storeUrl,
+    wordCount: z.number().int().nonnegative(),
+    featured: z.boolean(),
+  })
+  .strict()
+  .superRefine((language, ctx) => {
+    const primary = language.speechLocale.split('-')[0];
+    if (primary !== language.iso639[1] && primary !== language.iso639[3]) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['speechLocale'],
+        message: `language subtag "${primary}" does not match iso639`,
+      });
+    }
+    if (RTL_SCRIPTS.has(language.script) && language.direction !== 'rtl') {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['direction'],
+        message: `script "${language.script}" is written right to left`,
+      });
+    }
+    if (language.script !== 'Latn' && !language.romanizedName) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['romanizedName'],
+        message: `required for script "${language.script}" so the language can be found by a Latin-script search`,
+      });
+    }
+    language.statusHistory.forEach((change, index) => {
+      const previous = language.statusHistory[index - 1];
+      if (previous && change.date < previous.date) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['statusHistory', index, 'date'],
+          message: `must not be earlier than the previous change (${previous.date})`,
+        });
+      }
+      if (previous && change.status === previous.status) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['statusHistory', index, 'status'],
+          message: `repeats the previous status "${previous.status}"`,
+        });
+      }
+    });
+    if (language.statusHistory.length > 0 && language.statusHistory.at(-1)?.status !== language.status) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['statusHistory'],
+        message: `last entry must match the current status "${language.status}"`,
+      });
+    }
+    if (language.status === 'available' && !language.appStore && !language.playStore) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        path: ['status'],
+        message: 'available languages need at least one store URL',
+      });
+    }
+  });
+
+export const languagesFileSchema = z
+  .object({ languages: z.array(languageSchema).min(1) })
+  .strict()
+  .superRefine(({ languages }, ctx) => {
+    const seen = new Set();
+    languages.forEach((language, index) => {
+      if (seen.has(language.slug)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['languages', index, 'slug'],
+          message: `duplicate slug "${language.slug}"`,
+        });
+      }
+      seen.add(language.slug);
+    });
+  });
+
+/**
+ * Returns a list of human-readable problems; an empty list means the catalog is valid.
+ */
+export function findLanguageProblems(data = JSON.parse(fs.readFileSync(LANGUAGES_FILE, 'utf8'))) {
+  const result = languagesFileSchema.safeParse(data);
+  if (result.success) {
+    return [];
+  }
+  return result.error.issues.map((issue) => {
+    const [, index, ...rest] = issue.path;
+    const slug = typeof index === 'number' ? data.languages?.[index]?.slug ?? `#${index}` : null;
+    const where = slug ? [slug, ...rest].join('.') : issue.path.join('.') || '(root)';
+    return `${where}: ${issue.message}`;
+  });
+}
+
+function main() {
+  const problems = findLanguageProblems();
+  if (problems.length > 0) {
+    console.error(`❌ languages.json has ${problems.length} problem(s):`);
+    for (const problem of problems) {
+      console.error(`   - ${problem}`);
+    }
+    process.exit(1);
+  }
+  console.log('✅ languages.json matches the language schema');
+}
+
+if (process.argv[1] === __filename) {
+  main();
+}
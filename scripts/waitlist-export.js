@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+/**
+ * First 100 Waitlist Export
+ *
+ * Counts "notify me" signups per language from the file written by
+ * scripts/request-intake-server.js. Every coming-soon language is listed,
+ * including those with no signups yet. Only counts are printed; the emails
+ * stay in the data file.
+ *
+ * The privacy policy promises that a signup is deleted once its launch email
+ * is sent. After sending it, run with --delete=<slug> to remove that
+ * language's signups from the file.
+ *
+ * Usage:
+ *   node scripts/waitlist-export.js
+ *   node scripts/waitlist-export.js --input=data/waitlist.jsonl
+ *   node scripts/waitlist-export.js --format=csv > waitlist-counts.csv
+ *   node scripts/waitlist-export.js --format=json
+ *   node scripts/waitlist-export.js --delete=swahili   # After the Swahili launch email is sent
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+const DEFAULT_INPUT = path.join(ROOT_DIR, 'data', 'waitlist.jsonl');
+const LANGUAGES_FILE = path.join(ROOT_DIR, 'src', 'data', 'languages.json');
+const FORMATS = ['table', 'csv', 'json'];
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    input: DEFAULT_INPUT,
+    format: 'table',
+    delete: null,
+  };
+
+  for (const arg of args) {
+    if (arg.startsWith('--input=')) {
+      options.input = path.resolve(ROOT_DIR, arg.replace('--input=', '').trim());
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.replace('--format=', '').trim();
+    } else if (arg.startsWith('--delete=')) {
+      options.delete = arg.replace('--delete=', '').trim();
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Unique signups per language slug, most wanted first. Coming-soon languages
+ * without signups are included with a count of 0; slugs that are not in the
+ * catalog (e.g. a language that was removed) are kept so nothing is lost.
+ *
+ * @returns {{ slug: string, name: string, status: string | null, count: number }[]}
+ */
+export function countWaitlist(signups, languages) {
+  const emailsBySlug = new Map(
+    languages
+      .filter((language) => language.status === 'coming-soon')
+      .map((language) => [language.slug, new Set()])
+  );
+  for (const signup of signups) {
+    if (!signup.language || !signup.email) continue;
+    if (!emailsBySlug.has(signup.language)) emailsBySlug.set(signup.language, new Set());
+    emailsBySlug.get(signup.language).add(signup.email.toLowerCase());
+  }
+
+  const bySlug = new Map(languages.map((language) => [language.slug, language]));
+  return [...emailsBySlug.entries()]
+    .map(([slug, emails]) => ({
+      slug,
+      name: bySlug.get(slug)?.name ?? slug,
+      status: bySlug.get(slug)?.status ?? null,
+      count: emails.size,
+    }))
+    .sort((a, b) => b.count - a.count || a.slug.localeCompare(b.slug));
+}
+
+/**
+ * Splits the raw lines of the signup file into those to keep and the signups
+ * for `slug`, whose launch email has been sent. Kept lines are returned
+ * untouched, including any that don't parse, so rewriting the file loses
+ * nothing but the deleted signups.
+ *
+ * @param {string[]} lines
+ * @param {string} slug
+ * @returns {{ kept: string[], deleted: object[] }}
+ */
+export function removeLanguageSignups(lines, slug) {
+  const kept = [];
+  const deleted = [];
+  for (const line of lines) {
+    let signup = null;
+    try {
+      signup = JSON.parse(line);
+    } catch {
+      // Not ours to judge; keep it for whoever reads the file next.
+    }
+    if (signup?.language === slug) deleted.push(signup);
+    else kept.push(line);
+  }
+  return { kept, deleted };
+}
+
+function readLines(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return fs
+    .readFileSync(file, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim());
+}
+
+function readSignups(file) {
+  return readLines(file).flatMap((line, index) => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      console.warn(`⚠️  Skipping unreadable line ${index + 1}`);
+      return [];
+    }
+  });
+}
+
+function main() {
+  const options = parseArgs();
+  if (!FORMATS.includes(options.format)) {
+    console.error(`❌ Unknown format "${options.format}". Use one of: ${FORMATS.join(', ')}`);
+    process.exit(1);
+  }
+
+  const languages = JSON.parse(fs.readFileSync(LANGUAGES_FILE, 'utf8')).languages;
+
+  if (options.delete) {
+    const { kept, deleted } = removeLanguageSignups(readLines(options.input), options.delete);
+    if (deleted.length === 0) {
+      console.log(`\n📋 No signups for ${options.delete} in ${path.relative(ROOT_DIR, options.input)}\n`);
+      return;
+    }
+    // Write a copy and rename it over the original so a failed write can't truncate the list.
+    const tempFile = `${options.input}.tmp`;
+    fs.writeFileSync(tempFile, kept.map((line) => `${line}\n`).join(''));
+    fs.renameSync(tempFile, options.input);
+    console.log(`\n🗑️  Deleted ${deleted.length} ${options.delete} signup(s) from ${path.relative(ROOT_DIR, options.input)}; ${kept.length} left\n`);
+    return;
+  }
+
+  const counts = countWaitlist(readSignups(options.input), languages);
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(counts, null, 2));
+    return;
+  }
+  if (options.format === 'csv') {
+    console.log('slug,count');
+    for (const entry of counts) {
+      console.log(`${entry.slug},${entry.count}`);
+    }
+    return;
+  }
+
+  const total = counts.reduce((sum, entry) => sum + entry.count, 0);
+  console.log(`\n📋 Waitlist — ${total} signup(s) from ${path.relative(ROOT_DIR, options.input)}\n`);
+  for (const entry of counts) {
+    const note = entry.status === 'coming-soon' ? '' : entry.status ? ` (${entry.status})` : ' (not in catalog)';
+    console.log(`  ${String(entry.count).padStart(5)}  ${entry.slug}${note}`);
+  }
+  console.log('');
+}
+
+if (process.argv[1] === __filename) {
+  main();
+}
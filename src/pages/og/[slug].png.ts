@@ -0,0 +1,18 @@
+import type { APIRoute } from 'astro';
+import languageData from '../../data/languages.json';
+import { renderLanguageOgImage } from '../../utils/og-image';
+
+/** One PNG share card per language at `/og/<slug>.png`, rendered during the build. */
+export function getStaticPaths() {
+  return languageData.languages.map((language) => ({
+    params: { slug: language.slug },
+    props: { language },
+  }));
+}
+
+export const GET: APIRoute = async ({ props }) => {
+  const png = await renderLanguageOgImage(props.language);
+  return new Response(new Uint8Array(png), {
+    headers: { 'Content-Type': 'image/png' },
+  });
+};
@@ -0,0 +1,21 @@
+import type { APIRoute } from 'astro';
+import { withBase } from '../utils/withBase';
+
+/**
+ * robots.txt pointing crawlers at the sitemap. Under a base path (GitHub
+ * Pages project sites) rules are scoped to that path.
+ */
+export const GET: APIRoute = ({ site }) => {
+  const body = [
+    'User-agent: *',
+    `Allow: ${withBase('/')}`,
+    `Disallow: ${withBase('/search/')}`,
+    '',
+    `Sitemap: ${new URL(withBase('/sitemap.xml'), site).href}`,
+    '',
+  ].join('\n');
+
+  return new Response(body, {
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+  });
+};
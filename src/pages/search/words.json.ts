@@ -0,0 +1,41 @@
+import type { APIRoute } from 'astro';
+import languageData from '../../data/languages.json';
+import { withBase } from '../../utils/withBase';
+import { getIllustrationPicture } from '../../utils/illustrations';
+import { getCatalogWords, getWordTranslation } from '../../utils/word-catalog';
+
+/** Thumbnail width in the results, in CSS pixels. */
+const THUMBNAIL_SIZE = 64;
+
+/**
+ * Prebuilt word search index, fetched by the languages page the first time a
+ * visitor types. Rows are arrays rather than objects to keep the file small:
+ *
+ *   languages: [slug, name, direction]
+ *   words:     [id, English label, picture, translations in `languages` order ("" when missing)]
+ *
+ * `picture` is the 64px `IllustrationPicture` data, [src, [type, srcset][]],
+ * so thumbnails load a small AVIF or WebP variant. It is null for words
+ * without an illustration.
+ */
+function toPictureRow({ src, sources }: ReturnType<typeof getIllustrationPicture>) {
+  return [src, sources.map(({ type, srcset }) => [type, srcset])];
+}
+
+export const GET: APIRoute = () => {
+  const languages = languageData.languages;
+  const index = {
+    paths: { language: withBase('/l/'), word: withBase('/w/') },
+    languages: languages.map((language) => [language.slug, language.name, language.direction]),
+    words: getCatalogWords().map((word) => [
+      word.id,
+      word.label,
+      word.image ? toPictureRow(getIllustrationPicture(word.image, THUMBNAIL_SIZE)) : null,
+      languages.map((language) => getWordTranslation(word.id, language.slug) ?? ''),
+    ]),
+  };
+
+  return new Response(JSON.stringify(index), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
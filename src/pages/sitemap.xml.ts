@@ -0,0 +1,138 @@
+import fs from 'node:fs';
+import type { APIRoute } from 'astro';
+import languageData from '../data/languages.json';
+import { getLastModified } from '../utils/last-modified';
+import { getLocaleAlternates, LOCALES, localizePath } from '../utils/i18n';
+import { withBase } from '../utils/withBase';
+import { getCatalogWords } from '../utils/word-catalog';
+import { CATEGORIES } from '../utils/categories.js';
+
+interface SitemapPage {
+  /** Unprefixed site path, e.g. `/languages` */
+  path: string;
+  /** Project-relative files whose changes count as a page update */
+  sources: string[];
+  /** Whether the page is built for every locale (`[...locale]` routes) */
+  localized?: boolean;
+}
+
+const DATA_DIR = 'src/data';
+const UI_STRINGS = `${DATA_DIR}/ui-strings.json`;
+const WORD_SOURCES = [
+  `${DATA_DIR}/stickers.json`,
+  `${DATA_DIR}/illustrations.json`,
+  `${DATA_DIR}/word-translations.json`,
+  'src/utils/categories.js',
+];
+
+// Every top-level .astro page is picked up automatically, so new pages land
+// in the sitemap without touching this file.
+const staticPageFiles = Object.keys(import.meta.glob('./*.astro'));
+
+const DATA_IMPORT_RE = /from '\.\.\/data\/([\w-]+\.json)'/g;
+const UTIL_IMPORT_RE = /from '\.\.\/utils\/([\w-]+)'/g;
+
+function dataImports(source: string) {
+  return [...source.matchAll(DATA_IMPORT_RE)].map(([, name]) => `${DATA_DIR}/${name}`);
+}
+
+/** The page plus the data files it imports, directly or through a `utils/` module. */
+function staticPageSources(file: string) {
+  const pageFile = `src/pages/${file.replace(/^\.\//, '')}`;
+  const source = fs.readFileSync(pageFile, 'utf8');
+  const utilSources = [...source.matchAll(UTIL_IMPORT_RE)].flatMap(([, name]) => {
+    const utilFile = [`src/utils/${name}.ts`, `src/utils/${name}.js`].find((candidate) => fs.existsSync(candidate));
+    return utilFile ? dataImports(fs.readFileSync(utilFile, 'utf8')) : [];
+  });
+  return [...new Set([pageFile, ...dataImports(source), ...utilSources])];
+}
+
+function getSitemapPages(): SitemapPage[] {
+  const languagePages = languageData.languages.flatMap((language) => [
+    {
+      path: `/l/${language.slug}`,
+      sources: ['src/pages/[...locale]/l/[slug].astro', `${DATA_DIR}/languages.json`, UI_STRINGS, `${DATA_DIR}/faqs.json`, ...WORD_SOURCES],
+      localized: true,
+    },
+    {
+      path: `/l/${language.slug}/words`,
+      sources: ['src/pages/[...locale]/l/[slug]/words.astro', `${DATA_DIR}/languages.json`, UI_STRINGS, ...WORD_SOURCES],
+      localized: true,
+    },
+    {
+      path: `/l/${language.slug}/printables`,
+      sources: ['src/pages/[...locale]/l/[slug]/printables.astro', 'src/utils/printables.js', `${DATA_DIR}/languages.json`, UI_STRINGS, ...WORD_SOURCES],
+      localized: true,
+    },
+  ]);
+
+  const wordPages = getCatalogWords().map((word) => ({
+    path: `/w/${word.id}`,
+    sources: ['src/pages/[...locale]/w/[wordId].astro', `${DATA_DIR}/languages.json`, UI_STRINGS, ...WORD_SOURCES],
+    localized: true,
+  }));
+
+  const categoryPages = CATEGORIES.map((category) => ({
+    path: `/categories/${category.id}`,
+    sources: ['src/pages/categories/[id].astro', ...WORD_SOURCES],
+  }));
+
+  const staticPages = staticPageFiles.map((file) => ({
+    path: `/${file.replace(/^\.\/|\.astro$/g, '')}`,
+    sources: staticPageSources(file),
+  }));
+
+  return [
+    {
+      path: '/',
+      sources: ['src/pages/[...locale]/index.astro', `${DATA_DIR}/languages.json`, `${DATA_DIR}/stickers.json`, UI_STRINGS],
+      localized: true,
+    },
+    ...staticPages,
+    ...languagePages,
+    ...wordPages,
+    ...categoryPages,
+  ];
+}
+
+function escapeXml(value: string) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * sitemap.xml for every built page. Localized pages get one `<url>` per
+ * locale, each listing all of its translations as `xhtml:link` alternates.
+ * `lastmod` is the last change to the page or the data it renders.
+ */
+export const GET: APIRoute = ({ site }) => {
+  // Pages build as `<path>/index.html`, so their canonical URLs end in a slash.
+  const absolute = (href: string) => escapeXml(new URL(href.endsWith('/') ? href : `${href}/`, site).href);
+
+  const urls = getSitemapPages().flatMap(({ path, sources, localized }) => {
+    const lastmod = getLastModified(sources);
+    const lastmodTag = lastmod ? `<lastmod>${lastmod}</lastmod>` : '';
+
+    if (!localized) {
+      return [`<url><loc>${absolute(withBase(path))}</loc>${lastmodTag}</url>`];
+    }
+
+    const alternates = getLocaleAlternates(path)
+      .map(({ hreflang, href }) => `<xhtml:link rel="alternate" hreflang="${hreflang}" href="${absolute(href)}"/>`)
+      .join('');
+    return LOCALES.map(
+      (locale) => `<url><loc>${absolute(localizePath(path, locale))}</loc>${lastmodTag}${alternates}</url>`
+    );
+  });
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+
+  return new Response(xml, {
+    headers: { 'Content-Type': 'application/xml' },
+  });
+};
@@ -0,0 +1,18 @@
+import type { APIRoute } from 'astro';
+import languageData from '../data/languages.json';
+import { buildUpdatesFeed, getLanguageUpdates } from '../utils/language-history.js';
+import { withBase } from '../utils/withBase';
+
+/**
+ * Atom feed of language launches and announcements, built from the same
+ * `statusHistory` data as /whats-new.
+ */
+export const GET: APIRoute = ({ site }) => {
+  const xml = buildUpdatesFeed(getLanguageUpdates(languageData.languages), {
+    absolute: (path) => new URL(withBase(path), site).href,
+  });
+
+  return new Response(xml, {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+  });
+};
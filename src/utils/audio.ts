@@ -0,0 +1,10 @@
+import audioManifest from '../data/audio-manifest.json';
+import { withBase } from './withBase';
+
+const clips = audioManifest.clips as Record<string, Record<string, string | undefined>>;
+
+/** URL of the recorded clip for a word in a language, or null when there is no recording yet. */
+export function getAudioClip(wordId: string, languageSlug: string): string | null {
+  const file = clips[wordId]?.[languageSlug];
+  return file ? withBase(file) : null;
+}
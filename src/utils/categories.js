@@ -0,0 +1,64 @@
+/**
+ * The word category catalog, shared by the site (roadmap, category pages,
+ * word lists, request form) and the generator scripts (illustrations,
+ * showcase, marketing). Plain JavaScript so Node can import it without a
+ * build step.
+ *
+ * These are the twelve categories every First 100 app covers. `words` lists
+ * the illustrated word ids in each one; a word belongs to exactly one
+ * category, and a category may have no illustrated words yet.
+ *
+ * Home Objects holds what a toddler handles at home: household things,
+ * clothes and toys, including toy vehicles. Daily Words holds things a child
+ * sees and names when out for the day, such as a real bicycle or boat.
+ */
+
+export const CATEGORIES = [
+  {
+    id: 'animals',
+    name: 'Animals',
+    words: ['cat', 'dog', 'bird', 'fish', 'butterfly', 'elephant', 'rabbit', 'duck', 'bear'],
+  },
+  { id: 'colors', name: 'Colors', words: ['rainbow'] },
+  { id: 'body-parts', name: 'Body Parts', words: [] },
+  { id: 'family', name: 'Family', words: [] },
+  {
+    id: 'food-and-drink',
+    name: 'Food & Drink',
+    words: ['apple', 'banana', 'orange', 'strawberry', 'carrot', 'cookie', 'milk', 'bread'],
+  },
+  { id: 'numbers', name: 'Numbers', words: ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight'] },
+  { id: 'actions', name: 'Actions', words: ['sharing'] },
+  { id: 'nature', name: 'Nature', words: ['sun', 'moon', 'star', 'flower', 'tree', 'cloud'] },
+  {
+    id: 'feelings',
+    name: 'Feelings',
+    words: ['happy', 'sad', 'excited', 'calm', 'heart', 'love', 'friendship', 'kindness'],
+  },
+  { id: 'core-responses', name: 'Core Responses', words: [] },
+  {
+    id: 'home-objects',
+    name: 'Home Objects',
+    words: [
+      'ball', 'blocks', 'teddy', 'car', 'train', 'rocket', 'puzzle', 'drum', 'kite',
+      'cup', 'book', 'chair', 'spoon', 'toothbrush', 'clock', 'key', 'gift', 'backpack', 'umbrella', 'glasses', 'telescope',
+      'shoe', 'hat',
+    ],
+  },
+  { id: 'daily-words', name: 'Daily Words', words: ['bicycle', 'airplane', 'boat'] },
+];
+
+export function getCategory(id) {
+  return CATEGORIES.find((category) => category.id === id);
+}
+
+/** The category a word belongs to, or undefined for words not in the catalog. */
+export function getWordCategory(wordId) {
+  return CATEGORIES.find((category) => category.words.includes(wordId));
+}
+
+/** Looks a category up by id or display name, case-insensitively (for CLI flags). */
+export function findCategory(idOrName) {
+  const query = String(idOrName).trim().toLowerCase();
+  return CATEGORIES.find((category) => category.id === query || category.name.toLowerCase() === query);
+}
@@ -0,0 +1,88 @@
+import faqData from '../data/faqs.json';
+import languageData from '../data/languages.json';
+import { DEFAULT_LOCALE, type Locale } from './i18n';
+import type { FaqItem } from './structured-data.js';
+
+/** Text per site locale; locales without a translation fall back to the default. */
+type LocalizedText = Partial<Record<Locale, string>>;
+
+type FaqPage = 'language' | 'support';
+
+interface FaqEntry {
+  id: string;
+  topics: string[];
+  /** Shared entries only: which pages show the question */
+  pages?: FaqPage[];
+  question: LocalizedText;
+  answer: LocalizedText;
+}
+
+interface LanguageFaqs {
+  /** Replaces parts of a shared entry, keyed by its id */
+  overrides?: Record<string, Partial<Omit<FaqEntry, 'id' | 'pages'>>>;
+  /** Extra questions shown only on this language's page */
+  additions?: FaqEntry[];
+}
+
+interface FaqData {
+  topics: Record<string, string>;
+  entries: FaqEntry[];
+  languages: Record<string, LanguageFaqs>;
+}
+
+export interface Faq extends FaqItem {
+  id: string;
+  topics: string[];
+}
+
+const data = faqData as FaqData;
+
+function localize(text: LocalizedText, locale: Locale): string {
+  return text[locale] ?? text[DEFAULT_LOCALE] ?? '';
+}
+
+function toFaq(entry: FaqEntry, locale: Locale): Faq {
+  return {
+    id: entry.id,
+    topics: entry.topics,
+    question: localize(entry.question, locale),
+    answer: localize(entry.answer, locale),
+  };
+}
+
+/** Topic tags in display order, with their English labels. */
+export function getFaqTopics() {
+  return Object.entries(data.topics).map(([id, label]) => ({ id, label }));
+}
+
+/** The shared language-page questions with this language's overrides applied, then its additions. */
+export function getLanguageFaqs(slug: string, locale: Locale): Faq[] {
+  const { overrides = {}, additions = [] } = data.languages[slug] ?? {};
+  const shared = data.entries
+    .filter((entry) => entry.pages?.includes('language'))
+    .map((entry) => {
+      const override = overrides[entry.id] ?? {};
+      return {
+        ...entry,
+        ...override,
+        question: { ...entry.question, ...override.question },
+        answer: { ...entry.answer, ...override.answer },
+      };
+    });
+  return [...shared, ...additions].map((entry) => toFaq(entry, locale));
+}
+
+/**
+ * Everything for /support (English only): the shared support questions, then
+ * each language's additions labelled with the language name.
+ */
+export function getSupportFaqs(): (Faq & { language?: string })[] {
+  const shared = data.entries.filter((entry) => entry.pages?.includes('support')).map((entry) => toFaq(entry, DEFAULT_LOCALE));
+  const perLanguage = languageData.languages.flatMap((language) =>
+    (data.languages[language.slug]?.additions ?? []).map((entry) => ({
+      ...toFaq(entry, DEFAULT_LOCALE),
+      language: language.name,
+    }))
+  );
+  return [...shared, ...perLanguage];
+}
@@ -0,0 +1,87 @@
+import uiStrings from '../data/ui-strings.json';
+import { withBase } from './withBase';
+
+export type Locale = keyof typeof uiStrings.locales;
+export type UiKey = keyof typeof uiStrings.strings.en;
+
+type Catalog = Partial<Record<UiKey, string>>;
+
+export const DEFAULT_LOCALE = uiStrings.defaultLocale as Locale;
+export const LOCALES = Object.keys(uiStrings.locales) as Locale[];
+
+const catalogs = uiStrings.strings as Record<Locale, Catalog>;
+
+export function isLocale(value: unknown): value is Locale {
+  return typeof value === 'string' && value in uiStrings.locales;
+}
+
+export function getLocaleLabel(locale: Locale): string {
+  return uiStrings.locales[locale].label;
+}
+
+export function getHreflang(locale: Locale): string {
+  return uiStrings.locales[locale].hreflang;
+}
+
+export function getLocaleDirection(locale: Locale): 'ltr' | 'rtl' {
+  return uiStrings.locales[locale].dir === 'rtl' ? 'rtl' : 'ltr';
+}
+
+/**
+ * Static paths for a `[...locale]` route: the default locale renders at the
+ * unprefixed URL, every other locale under `/<locale>/`.
+ */
+export function getLocaleStaticPaths() {
+  return LOCALES.map((locale) => ({
+    params: { locale: locale === DEFAULT_LOCALE ? undefined : locale },
+    props: { locale },
+  }));
+}
+
+export function isUiKey(key: string): key is UiKey {
+  return key in catalogs[DEFAULT_LOCALE];
+}
+
+/**
+ * Returns a lookup for the given locale. Missing strings fall back to the
+ * default locale so a partially translated catalog still renders a full page.
+ */
+export function useTranslations(locale: Locale) {
+  const catalog = catalogs[locale] ?? {};
+  const fallback = catalogs[DEFAULT_LOCALE];
+
+  return function t(key: UiKey, values: Record<string, string | number> = {}): string {
+    const template = catalog[key] ?? fallback[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      name in values ? String(values[name]) : match
+    );
+  };
+}
+
+/**
+ * Pages build as `<path>/index.html`, so their canonical URLs end in a slash.
+ * Adds it before any query or fragment so links, hreflang alternates and the
+ * sitemap all use the canonical form instead of a redirect.
+ */
+function withTrailingSlash(path: string): string {
+  const [, pathname, suffix] = path.match(/^([^?#]*)(.*)$/) as RegExpMatchArray;
+  return pathname.endsWith('/') ? path : `${pathname}/${suffix}`;
+}
+
+/** Prefixes an unlocalized site path with the locale segment and base path. */
+export function localizePath(path: string, locale: Locale): string {
+  const normalizedPath = withTrailingSlash(path.startsWith('/') ? path : `/${path}`);
+  if (locale === DEFAULT_LOCALE) {
+    return withBase(normalizedPath);
+  }
+  return withBase(normalizedPath === '/' ? `/${locale}/` : `/${locale}${normalizedPath}`);
+}
+
+/** One entry per locale (plus `x-default`) for `<link rel="alternate" hreflang>` tags. */
+export function getLocaleAlternates(path: string) {
+  const alternates = LOCALES.map((locale) => ({
+    hreflang: getHreflang(locale),
+    href: localizePath(path, locale),
+  }));
+  return [...alternates, { hreflang: 'x-default', href: localizePath(path, DEFAULT_LOCALE) }];
+}
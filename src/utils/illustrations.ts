@@ -0,0 +1,55 @@
+import illustrationData from '../data/illustrations.json';
+import { withBase } from './withBase';
+
+interface IllustrationEntry {
+  id: string;
+  file: string;
+  width?: number;
+  height?: number;
+  /** Resized copies by format, then width; written by scripts/optimize-illustrations.js */
+  variants?: Partial<Record<VariantFormat, Record<string, string>>>;
+}
+
+type VariantFormat = 'avif' | 'webp';
+
+// Best format first, matching the order `<picture>` should try them in.
+const VARIANT_TYPES: [VariantFormat, string][] = [
+  ['avif', 'image/avif'],
+  ['webp', 'image/webp'],
+];
+
+const entriesByFile = new Map(
+  (illustrationData.illustrations as IllustrationEntry[]).map((entry) => [entry.file, entry])
+);
+
+/** A `srcset` for one variant format, or null when the illustration has no variants in it. */
+export function getIllustrationSrcset(file: string, format: VariantFormat): string | null {
+  const variants = entriesByFile.get(file)?.variants?.[format];
+  if (!variants || Object.keys(variants).length === 0) {
+    return null;
+  }
+  return Object.entries(variants)
+    .map(([width, variantFile]) => `${withBase(variantFile)} ${width}w`)
+    .join(', ');
+}
+
+/** The source file's pixel size, or null when illustrations.json doesn't record it. */
+export function getIllustrationSize(file: string): { width: number; height: number } | null {
+  const entry = entriesByFile.get(file);
+  return entry?.width && entry.height ? { width: entry.width, height: entry.height } : null;
+}
+
+/**
+ * What a `<picture>` needs for an illustration in `public/`: the AVIF and
+ * WebP sources, the original file as the fallback, and a height for the
+ * given display width that keeps the source's aspect ratio.
+ */
+export function getIllustrationPicture(file: string, displayWidth: number) {
+  const entry = entriesByFile.get(file);
+  const sources = VARIANT_TYPES.flatMap(([format, type]) => {
+    const srcset = getIllustrationSrcset(file, format);
+    return srcset ? [{ type, srcset }] : [];
+  });
+  const height = entry?.width && entry.height ? Math.round((displayWidth * entry.height) / entry.width) : displayWidth;
+  return { src: withBase(file), sources, width: displayWidth, height };
+}
@@ -0,0 +1,129 @@
+/**
+ * Launch history helpers for the "New" badge, /whats-new and its Atom feed,
+ * built from each language's `statusHistory` in languages.json. Plain
+ * JavaScript so the tests can import it without a build step.
+ */
+
+/**
+ * @typedef {'available' | 'coming-soon'} LanguageStatus
+ * @typedef {{ slug: string, name: string, nativeName: string, wordCount: number, status: string, statusHistory: { status: string, date: string }[] }} HistoryLanguage
+ * @typedef {object} LanguageUpdate
+ * @property {HistoryLanguage} language
+ * @property {LanguageStatus} status
+ * @property {string} date `YYYY-MM-DD`
+ * @property {LanguageStatus | null} previousStatus The status before this change, or null when the language was first listed
+ */
+
+/** How long after launch a language counts as new. */
+export const NEW_LANGUAGE_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When the language most recently became available, or null if it is not
+ * available or its launch predates the recorded history.
+ *
+ * @param {Pick<HistoryLanguage, 'status' | 'statusHistory'>} language
+ * @returns {string | null}
+ */
+export function getLaunchDate(language) {
+  if (language.status !== 'available') return null;
+  return language.statusHistory.findLast((change) => change.status === 'available')?.date ?? null;
+}
+
+/**
+ * Whether the language launched within the last NEW_LANGUAGE_DAYS. Pages are
+ * static, so "now" is the build time; the badge expires on the next deploy.
+ *
+ * @param {Pick<HistoryLanguage, 'status' | 'statusHistory'>} language
+ */
+export function isNewLanguage(language, now = new Date()) {
+  const launchDate = getLaunchDate(language);
+  if (!launchDate) return false;
+  const age = now.getTime() - Date.parse(launchDate);
+  return age >= 0 && age <= NEW_LANGUAGE_DAYS * DAY_MS;
+}
+
+/**
+ * Headline and one-line summary for an update, shared by /whats-new and its feed.
+ *
+ * @param {LanguageUpdate} update
+ */
+export function describeUpdate({ language, status, previousStatus }) {
+  if (status === 'available') {
+    return {
+      title: previousStatus ? `${language.name} is now available` : `${language.name} launched`,
+      summary: `First 100 ${language.name} (${language.nativeName}) is out now, with ${language.wordCount} first words for little ones.`,
+    };
+  }
+  return {
+    title: previousStatus ? `${language.name} is coming back soon` : `${language.name} is coming soon`,
+    summary: `We are recording and illustrating First 100 ${language.name} (${language.nativeName}). It will be announced here when it launches.`,
+  };
+}
+
+/**
+ * Every recorded status change across the catalog, newest first.
+ *
+ * @template {HistoryLanguage} L
+ * @param {L[]} languages
+ * @returns {(LanguageUpdate & { language: L })[]}
+ */
+export function getLanguageUpdates(languages) {
+  return languages
+    .flatMap((language) =>
+      language.statusHistory.map((change, index) => ({
+        language,
+        status: /** @type {LanguageStatus} */ (change.status),
+        date: change.date,
+        previousStatus: /** @type {LanguageStatus | null} */ (language.statusHistory[index - 1]?.status ?? null),
+      }))
+    )
+    .sort((a, b) => b.date.localeCompare(a.date) || a.language.name.localeCompare(b.language.name));
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Atom feed of the updates. Entry ids are tag URIs so they stay stable if the
+ * site moves. A feed without entries is dated `now`, since Atom requires an
+ * `<updated>` date.
+ *
+ * @param {LanguageUpdate[]} updates Newest first, as from getLanguageUpdates
+ * @param {{ absolute: (path: string) => string, now?: Date }} options `absolute` turns a site path into a full URL
+ */
+export function buildUpdatesFeed(updates, { absolute, now = new Date() }) {
+  const host = new URL(absolute('/')).hostname;
+  const timestamp = (date) => `${date}T00:00:00Z`;
+
+  const entries = updates.map((update) => {
+    const { title, summary } = describeUpdate(update);
+    const { slug } = update.language;
+    return [
+      '  <entry>',
+      `    <id>tag:${host},${update.date}:languages/${slug}/${update.status}</id>`,
+      `    <title>${escapeXml(title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(absolute(`/l/${slug}/`))}"/>`,
+      `    <updated>${timestamp(update.date)}</updated>`,
+      `    <summary>${escapeXml(summary)}</summary>`,
+      '  </entry>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(absolute('/whats-new/'))}</id>`,
+    '  <title>First 100 — What\'s new</title>',
+    '  <subtitle>New languages and launch announcements</subtitle>',
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(absolute('/whats-new.xml'))}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(absolute('/whats-new/'))}"/>`,
+    `  <updated>${updates[0] ? timestamp(updates[0].date) : now.toISOString().replace(/\.\d{3}Z$/, 'Z')}</updated>`,
+    '  <author><name>First 100</name></author>',
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,86 @@
+/**
+ * Shape and validation of a language request, shared by the request form,
+ * the intake server (scripts/request-intake-server.js) and the tests. Plain
+ * JavaScript so Node can import it without a build step.
+ */
+
+import { CATEGORIES } from './categories.js';
+
+/** Requests store category display names ("Food & Drink"), not ids. */
+export const CATEGORY_OPTIONS = CATEGORIES.map((category) => category.name);
+
+const FIELD_LIMITS = {
+  name: 100,
+  email: 200,
+  targetLanguage: 100,
+  pairLanguage: 100,
+  region: 200,
+  notes: 2000,
+};
+
+const REQUIRED_FIELDS = ['name', 'email', 'targetLanguage', 'pairLanguage'];
+export const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @typedef {object} LanguageRequest
+ * @property {string} id
+ * @property {string} submittedAt ISO 8601 timestamp
+ * @property {string} name
+ * @property {string} email
+ * @property {string} targetLanguage
+ * @property {string} pairLanguage
+ * @property {string} region
+ * @property {string[]} categories
+ * @property {string} notes
+ */
+
+/**
+ * Validates and normalizes a submission. `errors` maps field names to a
+ * message; the request is only usable when `errors` is empty.
+ *
+ * @param {Record<string, unknown>} input
+ * @returns {{ value: LanguageRequest, errors: Record<string, string> }}
+ */
+export function validateLanguageRequest(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  /** @type {Record<string, string>} */
+  const errors = {};
+  const text = (field) => (typeof source[field] === 'string' ? source[field].trim() : '');
+
+  const value = {
+    id: text('id'),
+    submittedAt: text('submittedAt'),
+    name: text('name'),
+    email: text('email'),
+    targetLanguage: text('targetLanguage'),
+    pairLanguage: text('pairLanguage'),
+    region: text('region'),
+    categories: Array.isArray(source.categories)
+      ? [...new Set(source.categories.filter((category) => typeof category === 'string'))]
+      : [],
+    notes: text('notes'),
+  };
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!value[field]) {
+      errors[field] = 'This field is required.';
+    }
+  }
+  for (const [field, limit] of Object.entries(FIELD_LIMITS)) {
+    if (value[field].length > limit) {
+      errors[field] = `Please keep this under ${limit} characters.`;
+    }
+  }
+  if (value.email && !errors.email && !EMAIL_RE.test(value.email)) {
+    errors.email = 'Please enter a valid email address.';
+  }
+  const unknownCategories = value.categories.filter((category) => !CATEGORY_OPTIONS.includes(category));
+  if (unknownCategories.length > 0) {
+    errors.categories = `Unknown categories: ${unknownCategories.join(', ')}`;
+  }
+  if (value.submittedAt && Number.isNaN(Date.parse(value.submittedAt))) {
+    errors.submittedAt = 'Invalid timestamp.';
+  }
+
+  return { value, errors };
+}
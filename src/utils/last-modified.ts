@@ -0,0 +1,41 @@
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Build-time only: pages and endpoints run from the project root.
+const ROOT_DIR = process.cwd();
+const cache = new Map<string, string | null>();
+
+function gitLastModified(files: string[]): string | null {
+  try {
+    const output = execFileSync('git', ['log', '-1', '--format=%cI', '--', ...files], {
+      cwd: ROOT_DIR,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+    return output || null;
+  } catch {
+    return null;
+  }
+}
+
+function mtimeLastModified(files: string[]): string | null {
+  const times = files
+    .map((file) => path.join(ROOT_DIR, file))
+    .filter((file) => fs.existsSync(file))
+    .map((file) => fs.statSync(file).mtime.getTime());
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString() : null;
+}
+
+/**
+ * When any of the given project-relative files last changed, as an ISO 8601
+ * date. Uses the last commit touching them and falls back to file mtimes
+ * outside a git checkout. Returns null when none of the files exist.
+ */
+export function getLastModified(files: string[]): string | null {
+  const key = [...files].sort().join('\n');
+  if (!cache.has(key)) {
+    cache.set(key, gitLastModified(files) ?? mtimeLastModified(files));
+  }
+  return cache.get(key) ?? null;
+}
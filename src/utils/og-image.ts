@@ -0,0 +1,98 @@
+import path from 'node:path';
+import sharp from 'sharp';
+import type languageData from '../data/languages.json';
+import { getCatalogWords, getWordTranslation, groupWordsByCategory } from './word-catalog';
+
+type Language = (typeof languageData.languages)[number];
+
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+
+// Build-time only: illustrations are read straight from public/.
+const PUBLIC_DIR = path.join(process.cwd(), 'public');
+const STICKER_SIZE = 150;
+const FONT_FAMILY = 'Noto Sans, DejaVu Sans, sans-serif';
+
+const stickerCache = new Map<string, Promise<string>>();
+
+function escapeXml(value: string) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const WIDE_CHAR_RE = /[\u1100-\u11ff\u2e80-\u9fff\uac00-\ud7af\uff00-\uffef]/u;
+
+/**
+ * Largest font size (up to `maxSize`) at which `text` should fit in
+ * `maxWidth`. A rough estimate: CJK and Hangul glyphs are about 1em wide,
+ * everything else about 0.62em.
+ */
+function fitFontSize(text: string, maxWidth: number, maxSize: number) {
+  const ems = [...text].reduce((total, char) => total + (WIDE_CHAR_RE.test(char) ? 1 : 0.62), 0);
+  return Math.min(maxSize, Math.floor(maxWidth / Math.max(ems, 1)));
+}
+
+/** Downscaled sticker as a data URI, so the SVG has no external references. */
+function stickerDataUri(file: string) {
+  if (!stickerCache.has(file)) {
+    stickerCache.set(
+      file,
+      sharp(path.join(PUBLIC_DIR, file))
+        .resize(STICKER_SIZE, STICKER_SIZE, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+        .png()
+        .toBuffer()
+        .then((buffer) => `data:image/png;base64,${buffer.toString('base64')}`)
+    );
+  }
+  return stickerCache.get(file)!;
+}
+
+/** Four illustrated words, one per category, preferring ones translated into the language. */
+function pickStickers(slug: string) {
+  const words = getCatalogWords()
+    .filter((word): word is typeof word & { image: string } => word.image !== null)
+    .map((word) => ({ ...word, text: getWordTranslation(word.id, slug) }));
+  const translated = words.filter((word) => word.text !== null);
+  return groupWordsByCategory(translated.length >= 4 ? translated : words)
+    .map(({ items }) => items[0])
+    .slice(0, 4);
+}
+
+/**
+ * Renders the 1200×630 Open Graph card for a language: its name, native
+ * name, status badge and four stickers captioned in the language. Text is
+ * drawn with the system fonts, so the native script needs a font installed
+ * on the build machine (the deploy workflow installs Noto).
+ */
+export async function renderLanguageOgImage(language: Language): Promise<Buffer> {
+  const available = language.status === 'available';
+  const badge = available ? 'Available now' : 'Coming soon';
+  const badgeWidth = badge.length * 15 + 56;
+
+  const stickers = await Promise.all(
+    pickStickers(language.slug).map(async (word, index) => {
+      const x = 700 + (index % 2) * 230;
+      const y = 70 + Math.floor(index / 2) * 250;
+      const caption = word.text ?? word.label;
+      return `
+        <rect x="${x}" y="${y}" width="210" height="230" rx="28" fill="#FFFFFF" stroke="#F2EFEB" stroke-width="2"/>
+        <image x="${x + 30}" y="${y + 16}" width="${STICKER_SIZE}" height="${STICKER_SIZE}" href="${await stickerDataUri(word.image)}"/>
+        <text x="${x + 105}" y="${y + 206}" text-anchor="middle" font-size="${fitFontSize(caption, 180, 28)}" font-weight="600" fill="#2D2A26">${escapeXml(caption)}</text>`;
+    })
+  );
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" viewBox="0 0 ${OG_IMAGE_WIDTH} ${OG_IMAGE_HEIGHT}" font-family="${FONT_FAMILY}">
+    <rect width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}" fill="#FFFBF7"/>
+    <circle cx="60" cy="560" r="90" fill="#A8D5BA" opacity="0.35"/>
+    <circle cx="620" cy="40" r="50" fill="#FFE5A3" opacity="0.5"/>
+    <circle cx="1160" cy="600" r="70" fill="#FF9B9B" opacity="0.3"/>
+    <text x="80" y="120" font-size="34" font-weight="700" fill="#4A7C59">First 100</text>
+    <text x="80" y="260" font-size="${fitFontSize(language.name, 580, 84)}" font-weight="700" fill="#2D2A26">${escapeXml(language.name)}</text>
+    <text x="80" y="345" font-size="${fitFontSize(language.nativeName, 580, 56)}" fill="#6B6560">${escapeXml(language.nativeName)}</text>
+    <rect x="80" y="395" width="${badgeWidth}" height="52" rx="26" fill="${available ? '#E8F0EA' : '#FBF7ED'}"/>
+    <text x="${80 + badgeWidth / 2}" y="430" text-anchor="middle" font-size="26" font-weight="600" fill="${available ? '#4A7C59' : '#A88A45'}">${badge}</text>
+    <text x="80" y="550" font-size="26" fill="#8A857F">First words for kids, in their language</text>
+    ${stickers.join('')}
+  </svg>`;
+
+  return sharp(Buffer.from(svg)).png({ compressionLevel: 9 }).toBuffer();
+}
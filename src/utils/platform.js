@@ -0,0 +1,17 @@
+/** @typedef {'ios' | 'android' | 'desktop' | 'other'} Platform */
+
+/**
+ * Best guess at the visitor's device from the user agent. iPadOS reports
+ * itself as a Mac, so a touch-capable "Mac" counts as iOS. Phones we don't
+ * recognize are 'other' so they get neither a preferred store nor a QR code.
+ *
+ * @param {{ userAgent: string, maxTouchPoints: number }} [device] Defaults to `navigator`
+ * @returns {Platform}
+ */
+export function detectPlatform({ userAgent, maxTouchPoints } = navigator) {
+  if (/android/i.test(userAgent)) return 'android';
+  if (/iphone|ipad|ipod/i.test(userAgent)) return 'ios';
+  if (/macintosh/i.test(userAgent) && maxTouchPoints > 1) return 'ios';
+  if (/mobi|tablet/i.test(userAgent)) return 'other';
+  return 'desktop';
+}
@@ -0,0 +1,225 @@
+/**
+ * Layout and HTML for printable flashcards and word posters, shared by the
+ * `/l/<slug>/printables` page and scripts/generate-printables.js (which draws
+ * the same layout into a PDF). Plain JavaScript so Node can import it without
+ * a build step. All measurements are in millimetres.
+ */
+
+export const PAPER_SIZES = {
+  a4: { label: 'A4', width: 210, height: 297 },
+  letter: { label: 'Letter', width: 215.9, height: 279.4 },
+};
+
+/** Cards per sheet and the grid they are laid out in. */
+export const CARD_GRIDS = {
+  4: { columns: 2, rows: 2 },
+  6: { columns: 2, rows: 3 },
+  9: { columns: 3, rows: 3 },
+};
+
+export const DEFAULT_PRINT_OPTIONS = { paper: 'a4', perPage: 6, backs: true };
+
+/** Blank border around the card grid; crop marks are drawn inside it. */
+const SHEET_MARGIN = 14;
+const CROP_MARK_GAP = 2;
+const CROP_MARK_LENGTH = 6;
+const POSTER_HEADER = 28;
+
+/**
+ * Preferred fonts per ISO 15924 script. The Noto families ship with the
+ * deploy machine's fonts and cover the shapes browsers otherwise guess at,
+ * like Japanese versus Chinese forms of the same character.
+ */
+const SCRIPT_FONTS = {
+  Arab: 'Noto Sans Arabic',
+  Deva: 'Noto Sans Devanagari',
+  Hans: 'Noto Sans CJK SC',
+  Jpan: 'Noto Sans CJK JP',
+  Kore: 'Noto Sans CJK KR',
+};
+
+export function getPrintFontFamily(script) {
+  return [SCRIPT_FONTS[script], 'Noto Sans', 'DejaVu Sans']
+    .filter(Boolean)
+    .map((family) => `'${family}'`)
+    .concat('sans-serif')
+    .join(', ');
+}
+
+const WIDE_CHAR_RE = /[\u1100-\u11ff\u2e80-\u9fff\uac00-\ud7af\uff00-\uffef]/u;
+
+/**
+ * Largest font size (up to `maxSize`) at which `text` should fit in
+ * `maxWidth`: CJK and Hangul glyphs are about 1em wide, everything else
+ * about 0.62em.
+ */
+export function fitFontSize(text, maxWidth, maxSize) {
+  const ems = [...text].reduce((total, char) => total + (WIDE_CHAR_RE.test(char) ? 1 : 0.62), 0);
+  return Math.min(maxSize, maxWidth / Math.max(ems, 1));
+}
+
+/**
+ * Illustrated words translated into the language, in sticker order. Takes
+ * the parsed data files so the page and the CLI share one join.
+ */
+export function getPrintableCards({ stickers, illustrations, translations }, languageSlug) {
+  const files = new Map(illustrations.map((illustration) => [illustration.id, illustration.file]));
+  const defaultLanguage = translations.defaultLanguage ?? 'en';
+  return stickers.flatMap((sticker) => {
+    const entry = translations.words[sticker.id] ?? {};
+    const word = entry[languageSlug]?.trim();
+    const image = files.get(sticker.id);
+    if (!word || !image) return [];
+    return [{ id: sticker.id, word, english: entry[defaultLanguage] ?? sticker.label, image }];
+  });
+}
+
+function resolveOptions(options = {}) {
+  const { paper, perPage, backs } = { ...DEFAULT_PRINT_OPTIONS, ...options };
+  if (!PAPER_SIZES[paper]) throw new Error(`Unknown paper size "${paper}"`);
+  if (!CARD_GRIDS[perPage]) throw new Error(`Unsupported cards per page: ${perPage}`);
+  return { paper, perPage: Number(perPage), backs: Boolean(backs) };
+}
+
+/** Short marks in the margin, in line with every cut between and around cards. */
+function cropMarks(grid, columns, rows, card, sheet) {
+  const marks = [];
+  const right = grid.x + columns * card.width;
+  const bottom = grid.y + rows * card.height;
+  for (let column = 0; column <= columns; column += 1) {
+    const x = grid.x + column * card.width;
+    marks.push({ x1: x, y1: grid.y - CROP_MARK_GAP - CROP_MARK_LENGTH, x2: x, y2: grid.y - CROP_MARK_GAP });
+    marks.push({ x1: x, y1: bottom + CROP_MARK_GAP, x2: x, y2: Math.min(sheet.height, bottom + CROP_MARK_GAP + CROP_MARK_LENGTH) });
+  }
+  for (let row = 0; row <= rows; row += 1) {
+    const y = grid.y + row * card.height;
+    marks.push({ x1: grid.x - CROP_MARK_GAP - CROP_MARK_LENGTH, y1: y, x2: grid.x - CROP_MARK_GAP, y2: y });
+    marks.push({ x1: right + CROP_MARK_GAP, y1: y, x2: Math.min(sheet.width, right + CROP_MARK_GAP + CROP_MARK_LENGTH), y2: y });
+  }
+  return marks;
+}
+
+/**
+ * Places `count` cards on sheets. With backs, every front sheet is followed
+ * by a back sheet whose columns are mirrored, so printing double-sided
+ * (flip on long edge) puts each English word behind its picture.
+ */
+export function layoutFlashcards(count, options) {
+  const { paper, perPage, backs } = resolveOptions(options);
+  const sheet = PAPER_SIZES[paper];
+  const { columns, rows } = CARD_GRIDS[perPage];
+  const card = {
+    width: (sheet.width - 2 * SHEET_MARGIN) / columns,
+    height: (sheet.height - 2 * SHEET_MARGIN) / rows,
+  };
+  const grid = { x: SHEET_MARGIN, y: SHEET_MARGIN };
+  const position = (column, row) => ({ x: grid.x + column * card.width, y: grid.y + row * card.height });
+
+  const sheets = [];
+  for (let start = 0; start < count; start += perPage) {
+    const indexes = Array.from({ length: Math.min(perPage, count - start) }, (_, offset) => start + offset);
+    sheets.push({
+      side: 'front',
+      cells: indexes.map((index) => ({ index, ...position((index - start) % columns, Math.floor((index - start) / columns)) })),
+    });
+    if (backs) {
+      sheets.push({
+        side: 'back',
+        cells: indexes.map((index) => ({
+          index,
+          ...position(columns - 1 - ((index - start) % columns), Math.floor((index - start) / columns)),
+        })),
+      });
+    }
+  }
+
+  return { paper, sheet, card, sheets, cropMarks: cropMarks(grid, columns, rows, card, sheet) };
+}
+
+/** A single sheet with every word: the most columns that keep cells closest to square. */
+export function layoutPoster(count, options) {
+  const { paper } = resolveOptions(options);
+  const sheet = PAPER_SIZES[paper];
+  const area = {
+    x: SHEET_MARGIN,
+    y: SHEET_MARGIN + POSTER_HEADER,
+    width: sheet.width - 2 * SHEET_MARGIN,
+    height: sheet.height - 2 * SHEET_MARGIN - POSTER_HEADER,
+  };
+
+  let best = { columns: 1, rows: Math.max(count, 1), size: 0 };
+  for (let columns = 1; columns <= Math.max(count, 1); columns += 1) {
+    const rows = Math.ceil(count / columns);
+    const size = Math.min(area.width / columns, area.height / rows);
+    if (size > best.size) best = { columns, rows, size };
+  }
+  const cell = { width: area.width / best.columns, height: area.height / best.rows };
+
+  return {
+    paper,
+    sheet,
+    header: { x: area.x, y: SHEET_MARGIN, width: area.width, height: POSTER_HEADER },
+    columns: best.columns,
+    rows: best.rows,
+    cell,
+    cells: Array.from({ length: count }, (_, index) => ({
+      index,
+      x: area.x + (index % best.columns) * cell.width,
+      y: area.y + Math.floor(index / best.columns) * cell.height,
+    })),
+  };
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const mm = (value) => `${Math.round(value * 100) / 100}mm`;
+const box = ({ x, y }, { width, height }) => `left:${mm(x)};top:${mm(y)};width:${mm(width)};height:${mm(height)}`;
+
+/**
+ * Flashcard sheets as HTML, sized in millimetres for printing at 100%.
+ * `language` needs `speechLocale`, `direction` and `script`; `imageUrl`
+ * maps an illustration path to its URL on the page.
+ */
+export function renderFlashcardsHtml(cards, language, options, imageUrl = (path) => path) {
+  const layout = layoutFlashcards(cards.length, options);
+  const { sheet, card } = layout;
+  const wordFont = escapeHtml(getPrintFontFamily(language.script));
+  const marks = layout.cropMarks
+    .map(({ x1, y1, x2, y2 }) => `<span class="printable-crop" style="${box({ x: x1, y: y1 }, { width: x2 - x1, height: y2 - y1 })}"></span>`)
+    .join('');
+
+  return layout.sheets
+    .map(({ side, cells }) => {
+      const content = cells
+        .map(({ index, x, y }) => {
+          const { word, english, image } = cards[index];
+          const style = box({ x, y }, card);
+          if (side === 'back') {
+            return `<div class="printable-card printable-card--back" style="${style}"><span class="printable-card__english" lang="en" dir="ltr" style="font-size:${mm(fitFontSize(english, card.width * 0.8, card.height * 0.16))}">${escapeHtml(english)}</span></div>`;
+          }
+          return `<div class="printable-card" style="${style}"><img class="printable-card__img" src="${escapeHtml(imageUrl(image))}" alt="" loading="lazy" decoding="async" /><span class="printable-card__word" lang="${escapeHtml(language.speechLocale)}" dir="${language.direction}" style="font-family:${wordFont};font-size:${mm(fitFontSize(word, card.width * 0.85, card.height * 0.14))}">${escapeHtml(word)}</span></div>`;
+        })
+        .join('');
+      return `<section class="printable-sheet printable-sheet--${side}" style="width:${mm(sheet.width)};height:${mm(sheet.height)}">${marks}${content}</section>`;
+    })
+    .join('');
+}
+
+/** The one-page word poster as HTML: a title and every card with its English gloss. */
+export function renderPosterHtml(cards, language, title, options, imageUrl = (path) => path) {
+  const layout = layoutPoster(cards.length, options);
+  const { sheet, header, cell } = layout;
+  const wordFont = escapeHtml(getPrintFontFamily(language.script));
+  const wordSize = Math.min(...cards.map(({ word }) => fitFontSize(word, cell.width * 0.9, cell.height * 0.14)));
+
+  const content = layout.cells
+    .map(({ index, x, y }) => {
+      const { word, english, image } = cards[index];
+      return `<div class="printable-poster__cell" style="${box({ x, y }, cell)}"><img class="printable-poster__img" src="${escapeHtml(imageUrl(image))}" alt="" loading="lazy" decoding="async" /><span class="printable-poster__word" lang="${escapeHtml(language.speechLocale)}" dir="${language.direction}" style="font-family:${wordFont};font-size:${mm(wordSize)}">${escapeHtml(word)}</span><span class="printable-poster__english" lang="en" style="font-size:${mm(wordSize * 0.6)}">${escapeHtml(english)}</span></div>`;
+    })
+    .join('');
+
+  return `<section class="printable-sheet printable-poster" style="width:${mm(sheet.width)};height:${mm(sheet.height)}"><h2 class="printable-poster__title" style="${box(header, header)}">${escapeHtml(title)}</h2>${content}</section>`;
+}
@@ -0,0 +1,111 @@
+/**
+ * JSON POSTs from the site's forms with an offline queue: submissions that
+ * can't be delivered (offline, server down) wait in localStorage and are
+ * retried on the next visit or when the browser comes back online. Plain
+ * JavaScript so the tests can import it without a build step.
+ */
+
+/**
+ * @typedef {Record<string, unknown>} Submission
+ * @typedef {{ state: 'sent' } | { state: 'invalid', errors: Record<string, string> } | { state: 'retry' }} Outcome
+ */
+
+/**
+ * @param {string} endpoint
+ * @param {Submission} submission
+ * @returns {Promise<Outcome>}
+ */
+export async function deliver(endpoint, submission) {
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(submission),
+    });
+    if (response.ok) return { state: 'sent' };
+    // Only a rejected payload is dropped; rate limits, timeouts and server errors stay queued.
+    const body = await response.json().catch(() => ({}));
+    if (response.status === 400 || body.errors) {
+      return { state: 'invalid', errors: body.errors || {} };
+    }
+    return { state: 'retry' };
+  } catch {
+    return { state: 'retry' };
+  }
+}
+
+/**
+ * A localStorage-backed queue of submissions for one endpoint.
+ *
+ * @param {string} storageKey
+ */
+export function createSubmissionQueue(storageKey) {
+  /** @returns {Submission[]} */
+  const read = () => {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey) || '[]');
+    } catch {
+      return [];
+    }
+  };
+
+  /** @param {Submission[]} queue */
+  const write = (queue) => {
+    try {
+      if (queue.length) localStorage.setItem(storageKey, JSON.stringify(queue));
+      else localStorage.removeItem(storageKey);
+    } catch {
+      // Storage can be unavailable (private mode, quota); the submission is simply not kept.
+    }
+  };
+
+  /** @type {Promise<number> | null} */
+  let inFlight = null;
+
+  /** @param {string} endpoint */
+  async function sendQueued(endpoint) {
+    const queue = read();
+    if (!queue.length || !navigator.onLine) return 0;
+
+    /** @type {string[]} */
+    const done = [];
+    let sent = 0;
+    for (const submission of queue) {
+      const outcome = await deliver(endpoint, submission);
+      if (outcome.state !== 'retry') done.push(JSON.stringify(submission));
+      if (outcome.state === 'sent') sent += 1;
+    }
+    // Re-read rather than writing back the snapshot: anything added while the
+    // sends were in flight must survive. Remove one copy per finished submission.
+    write(
+      read().filter((submission) => {
+        const index = done.indexOf(JSON.stringify(submission));
+        if (index === -1) return true;
+        done.splice(index, 1);
+        return false;
+      })
+    );
+    return sent;
+  }
+
+  return {
+    /** @param {Submission} submission */
+    add(submission) {
+      write([...read(), submission]);
+    },
+
+    /**
+     * Retries every queued submission; resolves to how many were delivered.
+     * A call while a flush is running shares it instead of sending twice.
+     *
+     * @param {string} endpoint
+     * @returns {Promise<number>}
+     */
+    flush(endpoint) {
+      inFlight ??= sendQueued(endpoint).finally(() => {
+        inFlight = null;
+      });
+      return inFlight;
+    },
+  };
+}
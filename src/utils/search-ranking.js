@@ -0,0 +1,68 @@
+/**
+ * Fuzzy matching and ranking for the language search. Terms and queries are
+ * expected already folded with `normalizeSearchText`. Plain JavaScript so the
+ * tests can import it without a build step.
+ */
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and swaps.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j += 1) d[0][j] = j;
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * How well one term matches the query: exact (100), prefix (80), word prefix
+ * (60), substring (40), then typo matches (20 minus 5 per edit), or 0. Queries
+ * of three or more characters allow one typo, six or more allow two.
+ *
+ * @param {string} term
+ * @param {string} query
+ * @returns {number}
+ */
+export function scoreTerm(term, query) {
+  if (term === query) return 100;
+  if (term.startsWith(query)) return 80;
+  const words = term.split(' ');
+  if (words.some((word) => word.startsWith(query))) return 60;
+  if (term.includes(query)) return 40;
+  if (query.length < 3) return 0;
+  const allowed = query.length >= 6 ? 2 : 1;
+  // Compare against whole words and their prefixes so half-typed names still match.
+  const best = Math.min(
+    ...words.flatMap((word) => [editDistance(query, word), editDistance(query, word.slice(0, query.length))])
+  );
+  return best <= allowed ? 20 - best * 5 : 0;
+}
+
+/**
+ * The best score across a language's terms. The first term is its primary
+ * name and gets a small bonus, so "Arabic" outranks an alias hit.
+ *
+ * @param {string[]} terms
+ * @param {string} query
+ * @returns {number}
+ */
+export function scoreTerms(terms, query) {
+  return Math.max(
+    ...terms.map((term, i) => {
+      const score = scoreTerm(term, query);
+      return score && i === 0 ? score + 2 : score;
+    })
+  );
+}
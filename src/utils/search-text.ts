@@ -0,0 +1,9 @@
+/** Folds case, accents and punctuation so "Español", "espanol" and "ESPAÑOL" compare equal. */
+export function normalizeSearchText(text: string): string {
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
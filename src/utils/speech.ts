@@ -0,0 +1,110 @@
+/**
+ * Client-side playback for word demos and stickers: a recorded clip when one
+ * exists, otherwise the closest installed speechSynthesis voice.
+ */
+
+export interface PlayableWord {
+  text: string;
+  /** BCP-47 locale, e.g. `so-SO` */
+  speechLocale: string;
+  /** Recorded clip URL from the audio manifest */
+  audio?: string | null;
+}
+
+export type PlaybackResult =
+  | { source: 'recording' }
+  | { source: 'voice'; voiceName: string }
+  | { source: null; reason: 'unsupported' | 'no-voice' };
+
+let currentAudio: HTMLAudioElement | null = null;
+
+// Voice locales come as `so-SO`, `so_SO` or `so`, depending on the platform.
+function normalizeLang(code: string) {
+  return code.replace(/_/g, '-').toLowerCase();
+}
+
+export function isSpeechSupported() {
+  return typeof window !== 'undefined' && 'speechSynthesis' in window;
+}
+
+/**
+ * Picks the closest installed voice: an exact locale match first, then any
+ * voice for the same language. Local voices win over network ones. Returns
+ * null rather than falling back to a voice for some other language.
+ */
+export function pickVoice(voices: SpeechSynthesisVoice[], langCode: string) {
+  const target = normalizeLang(langCode);
+  const primary = target.split('-')[0];
+  const exact = voices.filter((voice) => normalizeLang(voice.lang) === target);
+  const candidates = exact.length
+    ? exact
+    : voices.filter((voice) => normalizeLang(voice.lang).split('-')[0] === primary);
+  return candidates.find((voice) => voice.localService) || candidates[0] || null;
+}
+
+// Most browsers load voices asynchronously; the list is often empty on first call.
+function loadVoices(): Promise<SpeechSynthesisVoice[]> {
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length) {
+    return Promise.resolve(voices);
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      window.clearTimeout(timer);
+      window.speechSynthesis.removeEventListener('voiceschanged', done);
+      resolve(window.speechSynthesis.getVoices());
+    };
+    const timer = window.setTimeout(done, 1000);
+    window.speechSynthesis.addEventListener('voiceschanged', done);
+  });
+}
+
+/**
+ * Whether playWord can speak text in this locale without a recorded clip.
+ * Waits for the voice list like playWord does.
+ */
+export async function hasVoiceFor(langCode: string) {
+  return isSpeechSupported() && pickVoice(await loadVoices(), langCode) !== null;
+}
+
+export function stopPlayback() {
+  if (currentAudio) {
+    currentAudio.pause();
+    currentAudio = null;
+  }
+  if (isSpeechSupported()) {
+    window.speechSynthesis.cancel();
+  }
+}
+
+export async function playWord(word: PlayableWord): Promise<PlaybackResult> {
+  stopPlayback();
+
+  if (word.audio) {
+    const audio = new Audio(word.audio);
+    currentAudio = audio;
+    try {
+      await audio.play();
+      return { source: 'recording' };
+    } catch {
+      // Clip failed to load or autoplay was blocked; fall through to the device voice.
+      currentAudio = null;
+    }
+  }
+
+  if (!isSpeechSupported()) {
+    return { source: null, reason: 'unsupported' };
+  }
+
+  const voice = pickVoice(await loadVoices(), word.speechLocale);
+  if (!voice) {
+    return { source: null, reason: 'no-voice' };
+  }
+
+  const utterance = new SpeechSynthesisUtterance(word.text);
+  utterance.voice = voice;
+  utterance.lang = voice.lang;
+  utterance.rate = 0.85;
+  window.speechSynthesis.speak(utterance);
+  return { source: 'voice', voiceName: voice.name };
+}
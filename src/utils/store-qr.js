@@ -0,0 +1,30 @@
+import QRCode from 'qrcode';
+
+/** @type {Map<string, Promise<string>>} */
+const cache = new Map();
+
+/**
+ * Inline SVG QR code for a store URL, encoded at build time so no QR service
+ * sees our visitors. `label` becomes the accessible name of the image.
+ *
+ * @param {string} url
+ * @param {string} label
+ * @returns {Promise<string>}
+ */
+export function getStoreQrSvg(url, label) {
+  const key = `${url}\n${label}`;
+  if (!cache.has(key)) {
+    cache.set(
+      key,
+      QRCode.toString(url, {
+        type: 'svg',
+        margin: 1,
+        errorCorrectionLevel: 'M',
+        color: { dark: '#2D2A26', light: '#FFFFFF' },
+      }).then((svg) =>
+        svg.replace('<svg ', `<svg role="img" aria-label="${label.replace(/"/g, '&quot;')}" width="128" height="128" `)
+      )
+    );
+  }
+  return /** @type {Promise<string>} */ (cache.get(key));
+}
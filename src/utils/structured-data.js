@@ -0,0 +1,110 @@
+/**
+ * JSON-LD builders for the app, language and FAQ pages. Plain JavaScript so
+ * the tests can check the output without a build.
+ */
+
+/**
+ * One JSON-LD object; pages pass a list of these to BaseLayout.
+ * @typedef {Record<string, unknown>} StructuredData
+ */
+
+/**
+ * @typedef {object} FaqItem
+ * @property {string} question
+ * @property {string} answer
+ */
+
+/**
+ * The fields of a languages.json entry the schemas use.
+ * @typedef {{ name: string, nativeName: string, status: string, iso639: { '1': string | null, '3': string }, appStore: string | null, playStore: string | null }} SchemaLanguage
+ */
+
+export const APP_PRICE = '2.99';
+export const APP_PRICE_CURRENCY = 'USD';
+
+const PUBLISHER = { '@type': 'Organization', name: 'First 100' };
+
+/**
+ * The generic app entry BaseLayout uses on pages without their own structured data.
+ *
+ * @param {string} description
+ * @returns {StructuredData}
+ */
+export function getAppSchema(description) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'SoftwareApplication',
+    name: 'First 100',
+    applicationCategory: 'EducationalApplication',
+    operatingSystem: 'iOS, Android',
+    offers: { '@type': 'Offer', price: APP_PRICE, priceCurrency: APP_PRICE_CURRENCY },
+    description,
+    author: PUBLISHER,
+  };
+}
+
+/**
+ * One `MobileApplication` per store for a language. Coming-soon languages
+ * get a single entry without an offer: they have no store listing, so there
+ * is nothing to buy or pre-order, and a `PreOrder` offer would tell search
+ * engines otherwise. The offer appears once the language is available.
+ *
+ * @param {SchemaLanguage} language
+ * @param {{ pageUrl: string, description: string, image?: string }} options
+ * @returns {StructuredData[]}
+ */
+export function getLanguageAppSchemas(language, { pageUrl, description, image }) {
+  const base = {
+    '@context': 'https://schema.org',
+    '@type': 'MobileApplication',
+    name: `First 100 ${language.name}`,
+    alternateName: `First 100 ${language.nativeName}`,
+    applicationCategory: 'EducationalApplication',
+    description,
+    url: pageUrl,
+    ...(image ? { image } : {}),
+    inLanguage: language.iso639['1'] ?? language.iso639['3'],
+    author: PUBLISHER,
+  };
+
+  if (language.status !== 'available') {
+    // No `offers` on purpose; see above.
+    return [{ ...base, operatingSystem: 'iOS, Android' }];
+  }
+
+  const stores = [
+    { operatingSystem: 'iOS', url: language.appStore },
+    { operatingSystem: 'Android', url: language.playStore },
+  ];
+
+  return stores
+    .filter((store) => Boolean(store.url))
+    .map(({ operatingSystem, url }) => ({
+      ...base,
+      operatingSystem,
+      installUrl: url,
+      offers: {
+        '@type': 'Offer',
+        price: APP_PRICE,
+        priceCurrency: APP_PRICE_CURRENCY,
+        availability: 'https://schema.org/InStock',
+        url,
+      },
+    }));
+}
+
+/**
+ * @param {FaqItem[]} items
+ * @returns {StructuredData}
+ */
+export function getFaqPageSchema(items) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    mainEntity: items.map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer },
+    })),
+  };
+}
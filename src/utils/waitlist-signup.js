@@ -0,0 +1,68 @@
+/**
+ * Shape and validation of a "notify me" waitlist signup for a coming-soon
+ * language, shared by the waitlist form, the intake server
+ * (scripts/request-intake-server.js) and the tests.
+ */
+
+import { EMAIL_RE } from './language-request.js';
+
+export const EMAIL_LIMIT = 200;
+
+/**
+ * @typedef {object} WaitlistSignup
+ * @property {string} id
+ * @property {string} submittedAt ISO 8601 timestamp
+ * @property {string} email
+ * @property {string} language Slug from languages.json
+ * @property {boolean} consent The visitor agreed to the launch email
+ */
+
+/**
+ * Validates and normalizes a signup. Pass `languages` (the slugs that accept
+ * signups) to reject unknown languages; the form leaves it out because the
+ * slug comes from the page.
+ *
+ * Errors are codes, not copy, so the form can show them in the page's locale
+ * (`waitlist.error.<code>` in ui-strings.json): `required`, `tooLong`,
+ * `invalidEmail`, `unknownLanguage`, `consentRequired` or `invalidTimestamp`.
+ *
+ * @param {Record<string, unknown>} input
+ * @param {{ languages?: string[] }} [options]
+ * @returns {{ value: WaitlistSignup, errors: Record<string, string> }}
+ */
+export function validateWaitlistSignup(input, { languages } = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  /** @type {Record<string, string>} */
+  const errors = {};
+  const text = (field) => (typeof source[field] === 'string' ? source[field].trim() : '');
+
+  const value = {
+    id: text('id'),
+    submittedAt: text('submittedAt'),
+    email: text('email').toLowerCase(),
+    language: text('language'),
+    // Checkbox values arrive as "on" from FormData and as true from JSON.
+    consent: source.consent === true || source.consent === 'on',
+  };
+
+  if (!value.email) {
+    errors.email = 'required';
+  } else if (value.email.length > EMAIL_LIMIT) {
+    errors.email = 'tooLong';
+  } else if (!EMAIL_RE.test(value.email)) {
+    errors.email = 'invalidEmail';
+  }
+  if (!value.language) {
+    errors.language = 'required';
+  } else if (languages && !languages.includes(value.language)) {
+    errors.language = 'unknownLanguage';
+  }
+  if (!value.consent) {
+    errors.consent = 'consentRequired';
+  }
+  if (value.submittedAt && Number.isNaN(Date.parse(value.submittedAt))) {
+    errors.submittedAt = 'invalidTimestamp';
+  }
+
+  return { value, errors };
+}
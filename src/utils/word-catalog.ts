@@ -0,0 +1,54 @@
+import stickerData from '../data/stickers.json';
+import illustrationData from '../data/illustrations.json';
+import wordTranslations from '../data/word-translations.json';
+import { getWordCategory } from './categories.js';
+
+export interface CatalogWord {
+  id: string;
+  label: string;
+  category: string;
+  image: string | null;
+}
+
+type TranslationEntry = Record<string, string | undefined>;
+
+const translations = wordTranslations.words as Record<string, TranslationEntry>;
+const illustrationsById = new Map(
+  illustrationData.illustrations.map((illustration) => [illustration.id, illustration])
+);
+
+export const DEFAULT_WORD_LANGUAGE = wordTranslations.defaultLanguage ?? 'en';
+
+/** Every sticker word joined with its illustration file and catalog category, in sticker order. */
+export function getCatalogWords(): CatalogWord[] {
+  return stickerData.stickers.map((sticker) => {
+    const illustration = illustrationsById.get(sticker.id);
+    return {
+      id: sticker.id,
+      label: translations[sticker.id]?.[DEFAULT_WORD_LANGUAGE] ?? sticker.label,
+      category: getWordCategory(sticker.id)?.id ?? 'other',
+      image: illustration?.file ?? null,
+    };
+  });
+}
+
+export function getCatalogWord(wordId: string): CatalogWord | undefined {
+  return getCatalogWords().find((word) => word.id === wordId);
+}
+
+/** The word in the given language, or null when it has not been translated yet. */
+export function getWordTranslation(wordId: string, languageSlug: string): string | null {
+  const value = translations[wordId]?.[languageSlug];
+  return value && value.trim() ? value : null;
+}
+
+/** Groups words by category, keeping first-seen category order. */
+export function groupWordsByCategory<T extends { category: string }>(words: T[]) {
+  const groups = new Map<string, T[]>();
+  for (const word of words) {
+    const group = groups.get(word.category) ?? [];
+    group.push(word);
+    groups.set(word.category, group);
+  }
+  return [...groups.entries()].map(([category, items]) => ({ category, items }));
+}
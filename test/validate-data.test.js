@@ -5,11 +5,30 @@
  * Uses Node.js built-in test runner (no extra dependencies).
  */
 
-import { describe, it } from "node:test";
+import { after, before, describe, it } from "node:test";
 import assert from "node:assert";
-import { readFileSync } from "node:fs";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { execFileSync } from "node:child_process";
+import { tmpdir } from "node:os";
 import { fileURLToPath } from "node:url";
 import { dirname, join } from "node:path";
+import { findAudioManifestProblems } from "../scripts/check-audio-manifest.js";
+import { findLanguageProblems } from "../scripts/validate-languages.js";
+import { createIntakeServer } from "../scripts/request-intake-server.js";
+import { buildDemandReport, toPublishedReport } from "../scripts/language-demand-report.js";
+import { validateLanguageRequest } from "../src/utils/language-request.js";
+import { validateWaitlistSignup } from "../src/utils/waitlist-signup.js";
+import { countWaitlist, removeLanguageSignups } from "../scripts/waitlist-export.js";
+import { VARIANT_FORMATS, getVariantPaths } from "../scripts/optimize-illustrations.js";
+import { analyzeIllustration } from "../scripts/check-illustrations.js";
+import { APP_PRICE, APP_PRICE_CURRENCY, getFaqPageSchema, getLanguageAppSchemas } from "../src/utils/structured-data.js";
+import { createSubmissionQueue } from "../src/utils/queued-post.js";
+import { editDistance, scoreTerm, scoreTerms } from "../src/utils/search-ranking.js";
+import { detectPlatform } from "../src/utils/platform.js";
+import { getStoreQrSvg } from "../src/utils/store-qr.js";
+import { NEW_LANGUAGE_DAYS, buildUpdatesFeed, getLanguageUpdates, isNewLanguage } from "../src/utils/language-history.js";
+import { CATEGORIES } from "../src/utils/categories.js";
+import { CARD_GRIDS, PAPER_SIZES, layoutFlashcards, layoutPoster } from "../src/utils/printables.js";
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, "..");
@@ -20,8 +39,12 @@ const REQUIRED_LANGUAGE_KEYS = [
   "status",
   "wordCount",
   "featured",
+  "direction",
+  "speechLocale",
 ];
 const VALID_STATUSES = ["available", "coming-soon"];
+const VALID_DIRECTIONS = ["ltr", "rtl"];
+const BCP47_RE = /^[a-z]{2,3}(-[A-Z][a-z]{3})?(-[A-Z]{2}|-\d{3})?$/;
 
 describe("languages.json", () => {
   let data;
@@ -52,6 +75,14 @@ describe("languages.json", () => {
         VALID_STATUSES.includes(lang.status),
         `language "${lang.slug}" has invalid status: ${lang.status}`
       );
+      assert.ok(
+        VALID_DIRECTIONS.includes(lang.direction),
+        `language "${lang.slug}" has invalid direction: ${lang.direction}`
+      );
+      assert.ok(
+        BCP47_RE.test(lang.speechLocale),
+        `language "${lang.slug}" has invalid speechLocale: ${lang.speechLocale}`
+      );
       assert.ok(
         !slugs.has(lang.slug),
         `duplicate slug: ${lang.slug}`
@@ -71,6 +102,37 @@ describe("languages.json", () => {
     }
   });
 
+  it("matches the language schema", () => {
+    assert.deepStrictEqual(findLanguageProblems(data), []);
+  });
+
+  it("schema reports malformed entries by slug", () => {
+    const [first] = data.languages;
+    assert.deepStrictEqual(
+      findLanguageProblems({ languages: [{ ...first, regions: [], typo: true }] }),
+      [
+        `${first.slug}.regions: Array must contain at least 1 element(s)`,
+        `${first.slug}: Unrecognized key(s) in object: 'typo'`,
+      ]
+    );
+    assert.deepStrictEqual(
+      findLanguageProblems({ languages: [{ ...first, script: "Arab", romanizedName: "x", direction: "ltr" }] }),
+      [`${first.slug}.direction: script "Arab" is written right to left`]
+    );
+    const history = [
+      { status: "available", date: "2026-03-01" },
+      { status: "available", date: "2026-02-01" },
+    ];
+    assert.deepStrictEqual(
+      findLanguageProblems({ languages: [{ ...first, status: "coming-soon", statusHistory: history }] }),
+      [
+        `${first.slug}.statusHistory.1.date: must not be earlier than the previous change (2026-03-01)`,
+        `${first.slug}.statusHistory.1.status: repeats the previous status "available"`,
+        `${first.slug}.statusHistory: last entry must match the current status "coming-soon"`,
+      ]
+    );
+  });
+
   it("slugs are URL-safe (lowercase, no spaces)", () => {
     const slugRe = /^[a-z0-9-]+$/;
     for (const lang of data.languages) {
@@ -82,6 +144,300 @@ describe("languages.json", () => {
   });
 });
 
+describe("language history", () => {
+  const launched = {
+    slug: "swahili",
+    name: "Swahili",
+    nativeName: "Kiswahili",
+    wordCount: 100,
+    status: "available",
+    statusHistory: [
+      { status: "coming-soon", date: "2026-01-05" },
+      { status: "available", date: "2026-03-01" },
+    ],
+  };
+  const daysAfterLaunch = (days) => new Date(Date.parse("2026-03-01") + days * 24 * 60 * 60 * 1000);
+
+  it("isNewLanguage is true for NEW_LANGUAGE_DAYS after launch, inclusive", () => {
+    assert.strictEqual(isNewLanguage(launched, daysAfterLaunch(0)), true);
+    assert.strictEqual(isNewLanguage(launched, daysAfterLaunch(NEW_LANGUAGE_DAYS)), true);
+    assert.strictEqual(isNewLanguage(launched, daysAfterLaunch(NEW_LANGUAGE_DAYS + 1)), false);
+    assert.strictEqual(isNewLanguage(launched, daysAfterLaunch(-1)), false);
+  });
+
+  it("isNewLanguage is false without a recorded launch", () => {
+    assert.strictEqual(isNewLanguage({ ...launched, statusHistory: [] }, daysAfterLaunch(1)), false);
+    assert.strictEqual(isNewLanguage({ ...launched, status: "coming-soon" }, daysAfterLaunch(1)), false);
+  });
+
+  it("getLanguageUpdates lists each change newest first with the status before it", () => {
+    const updates = getLanguageUpdates([launched, { ...launched, slug: "turkish", name: "Turkish", statusHistory: [] }]);
+    assert.deepStrictEqual(
+      updates.map(({ language, status, date, previousStatus }) => [language.slug, status, date, previousStatus]),
+      [
+        ["swahili", "available", "2026-03-01", "coming-soon"],
+        ["swahili", "coming-soon", "2026-01-05", null],
+      ]
+    );
+  });
+
+  it("buildUpdatesFeed writes one Atom entry per update with stable ids", () => {
+    const absolute = (path) => new URL(path, "https://www.first100.org").href;
+    const xml = buildUpdatesFeed(getLanguageUpdates([launched]), { absolute });
+    assert.strictEqual(xml.match(/<entry>/g).length, 2);
+    assert.ok(xml.includes("<id>tag:www.first100.org,2026-03-01:languages/swahili/available</id>"));
+    assert.ok(xml.includes("<title>Swahili is now available</title>"));
+    assert.ok(xml.includes('<link rel="alternate" type="text/html" href="https://www.first100.org/l/swahili/"/>'));
+    assert.match(xml, /<feed xmlns="http:\/\/www.w3.org\/2005\/Atom">\n {2}<id>https:\/\/www.first100.org\/whats-new\/<\/id>/);
+    assert.ok(xml.includes("<updated>2026-03-01T00:00:00Z</updated>\n  <author>"), "feed is dated by its newest entry");
+
+    const empty = buildUpdatesFeed([], { absolute, now: new Date("2026-10-19T06:00:00.123Z") });
+    assert.ok(!empty.includes("<entry>"));
+    assert.ok(empty.includes("<updated>2026-10-19T06:00:00Z</updated>"));
+  });
+});
+
+describe("stickers.json word catalog", () => {
+  const readData = (file) => JSON.parse(readFileSync(join(ROOT, "src/data", file), "utf8"));
+  const stickers = readData("stickers.json").stickers;
+  const illustrations = readData("illustrations.json").illustrations;
+  const translations = readData("word-translations.json");
+
+  it("every sticker has an illustration entry and a catalog category", () => {
+    const byId = new Map(illustrations.map((item) => [item.id, item]));
+    for (const sticker of stickers) {
+      assert.ok(byId.get(sticker.id), `sticker "${sticker.id}" has no illustrations.json entry`);
+      assert.ok(
+        CATEGORIES.some((category) => category.words.includes(sticker.id)),
+        `sticker "${sticker.id}" is not in any category in src/utils/categories.js`
+      );
+    }
+  });
+
+  it("every sticker has a default-language word", () => {
+    const defaultLanguage = translations.defaultLanguage || "en";
+    for (const sticker of stickers) {
+      assert.ok(
+        translations.words[sticker.id]?.[defaultLanguage],
+        `sticker "${sticker.id}" has no "${defaultLanguage}" word in word-translations.json`
+      );
+    }
+  });
+
+  it("every PNG illustration has its AVIF and WebP variants on disk", () => {
+    for (const item of illustrations) {
+      assert.ok(existsSync(join(ROOT, "public", item.file)), `${item.id}: missing ${item.file}`);
+      if (!item.file.endsWith(".png")) continue;
+      assert.ok(item.variants, `${item.id}: no variants, run npm run optimize-illustrations`);
+      assert.deepStrictEqual(item.variants, getVariantPaths(item.id, item.width), `${item.id}: variants are out of date`);
+      for (const format of Object.keys(VARIANT_FORMATS)) {
+        for (const file of Object.values(item.variants[format])) {
+          assert.ok(existsSync(join(ROOT, "public", file)), `${item.id}: missing ${file}`);
+        }
+      }
+    }
+  });
+});
+
+describe("audio-manifest.json", () => {
+  it("every clip belongs to a known word and language and exists under public/", () => {
+    assert.deepStrictEqual(findAudioManifestProblems(), []);
+  });
+
+  it("reports clips whose file is missing", () => {
+    const problems = findAudioManifestProblems({
+      manifest: { clips: { cat: { somali: "/audio/somali/does-not-exist.mp3" } } },
+    });
+    assert.deepStrictEqual(problems, ["cat/somali: missing file public/audio/somali/does-not-exist.mp3"]);
+  });
+});
+
+describe("ui-strings.json", () => {
+  const placeholdersOf = (text) => (text.match(/\{\w+\}/g) || []).sort();
+  let data;
+  it("loads and parses without error", () => {
+    const raw = readFileSync(join(ROOT, "src/data/ui-strings.json"), "utf8");
+    data = JSON.parse(raw);
+    assert.ok(data.locales, "locales should be defined");
+    assert.ok(data.strings, "strings should be defined");
+  });
+
+  it("default locale has a complete catalog", () => {
+    assert.ok(
+      data.locales[data.defaultLocale],
+      `defaultLocale "${data.defaultLocale}" should be listed in locales`
+    );
+    assert.ok(
+      Object.keys(data.strings[data.defaultLocale] || {}).length > 0,
+      "default locale catalog should not be empty"
+    );
+  });
+
+  it("every locale has a catalog and a URL-safe code", () => {
+    for (const locale of Object.keys(data.locales)) {
+      assert.ok(/^[a-z]{2,3}(-[a-z0-9]+)?$/.test(locale), `locale "${locale}" should be a lowercase code`);
+      assert.ok(data.strings[locale], `locale "${locale}" is missing a strings catalog`);
+      assert.ok(data.locales[locale].label, `locale "${locale}" is missing a label`);
+      assert.ok(
+        VALID_DIRECTIONS.includes(data.locales[locale].dir),
+        `locale "${locale}" has invalid dir: ${data.locales[locale].dir}`
+      );
+    }
+  });
+
+  it("translations only use known keys and keep placeholders", () => {
+    const base = data.strings[data.defaultLocale];
+    for (const [locale, catalog] of Object.entries(data.strings)) {
+      for (const [key, value] of Object.entries(catalog)) {
+        assert.ok(key in base, `locale "${locale}" has unknown key: ${key}`);
+        assert.deepStrictEqual(
+          placeholdersOf(value),
+          placeholdersOf(base[key]),
+          `locale "${locale}" key "${key}" should use the same placeholders as the default locale`
+        );
+      }
+    }
+  });
+
+  it("every locale translates every key", () => {
+    const baseKeys = Object.keys(data.strings[data.defaultLocale]).sort();
+    for (const [locale, catalog] of Object.entries(data.strings)) {
+      const missing = baseKeys.filter((key) => !(key in catalog));
+      assert.deepStrictEqual(missing, [], `locale "${locale}" is missing keys: ${missing.join(", ")}`);
+    }
+  });
+});
+
+describe("category catalog", () => {
+  it("has unique URL-safe ids and puts each word in one category", () => {
+    const ids = new Set();
+    const words = new Set();
+    for (const category of CATEGORIES) {
+      assert.ok(/^[a-z0-9]+(-[a-z0-9]+)*$/.test(category.id), `category id "${category.id}" should be URL-safe`);
+      assert.ok(!ids.has(category.id), `duplicate category id "${category.id}"`);
+      ids.add(category.id);
+      assert.ok(category.name, `category "${category.id}" is missing a name`);
+      for (const word of category.words) {
+        assert.ok(!words.has(word), `word "${word}" is in more than one category`);
+        words.add(word);
+      }
+    }
+  });
+
+  it("every category has a UI label matching its name", () => {
+    const { defaultLocale, strings } = JSON.parse(readFileSync(join(ROOT, "src/data/ui-strings.json"), "utf8"));
+    for (const category of CATEGORIES) {
+      assert.strictEqual(
+        strings[defaultLocale][`category.${category.id}`],
+        category.name,
+        `ui-strings.json "category.${category.id}" should be "${category.name}"`
+      );
+    }
+  });
+});
+
+describe("printables layout", () => {
+  const within = ({ x, y }, size, sheet) =>
+    x >= 0 && y >= 0 && x + size.width <= sheet.width + 1e-9 && y + size.height <= sheet.height + 1e-9;
+
+  it("flashcard sheets hold every card once per side and mirror the backs", () => {
+    for (const paper of Object.keys(PAPER_SIZES)) {
+      for (const perPage of Object.keys(CARD_GRIDS).map(Number)) {
+        const layout = layoutFlashcards(49, { paper, perPage, backs: true });
+        const fronts = layout.sheets.filter((sheet) => sheet.side === "front");
+        assert.strictEqual(fronts.length, Math.ceil(49 / perPage));
+        assert.strictEqual(layout.sheets.length, fronts.length * 2);
+        assert.deepStrictEqual(fronts.flatMap((sheet) => sheet.cells.map((cell) => cell.index)), [...Array(49).keys()]);
+
+        for (let i = 0; i < layout.sheets.length; i += 2) {
+          const [front, back] = [layout.sheets[i], layout.sheets[i + 1]];
+          for (const cell of front.cells) {
+            const behind = back.cells.find((other) => other.index === cell.index);
+            assert.strictEqual(behind.y, cell.y, `${paper}/${perPage}: card ${cell.index} back is on another row`);
+            assert.ok(
+              Math.abs(behind.x + layout.card.width - (layout.sheet.width - cell.x)) < 1e-9,
+              `${paper}/${perPage}: card ${cell.index} back is not mirrored`
+            );
+          }
+        }
+        for (const cell of layout.sheets.flatMap((sheet) => sheet.cells)) {
+          assert.ok(within(cell, layout.card, layout.sheet), `${paper}/${perPage}: card ${cell.index} is off the sheet`);
+        }
+        for (const mark of layout.cropMarks) {
+          assert.ok(within({ x: mark.x1, y: mark.y1 }, { width: mark.x2 - mark.x1, height: mark.y2 - mark.y1 }, layout.sheet));
+        }
+      }
+    }
+    assert.ok(layoutFlashcards(7, { backs: false }).sheets.every((sheet) => sheet.side === "front"));
+  });
+
+  it("the poster fits every word on one sheet below its title", () => {
+    for (const paper of Object.keys(PAPER_SIZES)) {
+      const layout = layoutPoster(49, { paper });
+      assert.strictEqual(layout.cells.length, 49);
+      assert.ok(layout.columns * layout.rows >= 49);
+      for (const cell of layout.cells) {
+        assert.ok(within(cell, layout.cell, layout.sheet), `${paper}: word ${cell.index} is off the sheet`);
+        assert.ok(cell.y >= layout.header.y + layout.header.height, `${paper}: word ${cell.index} overlaps the title`);
+      }
+    }
+  });
+
+  it("rejects unknown paper sizes and card counts", () => {
+    assert.throws(() => layoutFlashcards(10, { paper: "a3" }), /paper size/);
+    assert.throws(() => layoutFlashcards(10, { perPage: 5 }), /cards per page/);
+  });
+});
+
+describe("faqs.json", () => {
+  const readData = (file) => JSON.parse(readFileSync(join(ROOT, "src/data", file), "utf8"));
+  const faqs = readData("faqs.json");
+  const { defaultLocale, locales } = readData("ui-strings.json");
+  const slugs = new Set(readData("languages.json").languages.map((language) => language.slug));
+
+  function assertEntry(entry, where) {
+    assert.ok(entry.question?.[defaultLocale], `${where}: missing "${defaultLocale}" question`);
+    assert.ok(entry.answer?.[defaultLocale], `${where}: missing "${defaultLocale}" answer`);
+    for (const field of ["question", "answer"]) {
+      for (const locale of Object.keys(entry[field] || {})) {
+        assert.ok(locale in locales, `${where}: unknown locale "${locale}" in ${field}`);
+      }
+    }
+    for (const topic of entry.topics || []) {
+      assert.ok(topic in faqs.topics, `${where}: unknown topic "${topic}"`);
+    }
+  }
+
+  it("entries have unique ids, known topics and default-locale text", () => {
+    const ids = new Set();
+    const additions = Object.values(faqs.languages).flatMap((language) => language.additions || []);
+    for (const entry of [...faqs.entries, ...additions]) {
+      assert.ok(!ids.has(entry.id), `duplicate FAQ id "${entry.id}"`);
+      ids.add(entry.id);
+      assert.ok(entry.topics?.length > 0, `${entry.id}: needs at least one topic`);
+      assertEntry(entry, entry.id);
+    }
+    for (const entry of faqs.entries) {
+      assert.ok(entry.pages?.length > 0, `${entry.id}: shared entries need "pages"`);
+    }
+  });
+
+  it("per-language FAQs belong to known languages and override shared entries", () => {
+    const shared = new Map(faqs.entries.map((entry) => [entry.id, entry]));
+    for (const [slug, { overrides = {} }] of Object.entries(faqs.languages)) {
+      assert.ok(slugs.has(slug), `faqs.json has entries for unknown language "${slug}"`);
+      for (const [id, override] of Object.entries(overrides)) {
+        assert.ok(shared.get(id)?.pages.includes("language"), `${slug}: override "${id}" is not a shared language-page question`);
+        for (const field of ["question", "answer"]) {
+          for (const locale of Object.keys(override[field] || {})) {
+            assert.ok(locale in locales, `${slug}/${id}: unknown locale "${locale}" in ${field}`);
+          }
+        }
+      }
+    }
+  });
+});
+
 describe("illustration-prompts.js", () => {
   let mod;
   it("loads without error", async () => {
@@ -96,7 +452,7 @@ describe("illustration-prompts.js", () => {
     for (const obj of mod.OBJECTS) {
       assert.ok(obj.id, "each object should have id");
       assert.ok(typeof obj.prompt === "string", "each object should have prompt string");
-      assert.ok(obj.category, "each object should have category");
+      assert.ok(obj.category, `object "${obj.id}" is not in any category in src/utils/categories.js`);
       assert.ok(!ids.has(obj.id), `duplicate object id: ${obj.id}`);
       ids.add(obj.id);
     }
@@ -124,3 +480,497 @@ describe("illustration-prompts.js", () => {
     assert.strictEqual(mod.getObjectById("nonexistent-id"), undefined);
   });
 });
+
+describe("illustration quality gate", () => {
+  /** A white 200×200 RGBA image with a dark square from (left, top) of the given size. */
+  function drawSquare(left, top, size, border = null) {
+    const width = 200;
+    const data = new Uint8Array(width * width * 4).fill(255);
+    for (let y = 0; y < width; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const inSquare = x >= left && x < left + size && y >= top && y < top + size;
+        const onBorder = border && (x < border || y < border || x >= width - border || y >= width - border);
+        if (inSquare || onBorder) data.fill(40, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+    return { data, width, height: width, channels: 4 };
+  }
+  const failed = (result) => result.checks.filter((check) => !check.passed).map((check) => check.id);
+
+  it("passes a centered subject on white", () => {
+    const result = analyzeIllustration(drawSquare(50, 50, 100));
+    assert.deepStrictEqual(failed(result), []);
+    assert.strictEqual(result.passed, true);
+  });
+
+  it("fails an off-center subject close to the edge", () => {
+    assert.deepStrictEqual(failed(analyzeIllustration(drawSquare(114, 7, 80))), ["centering", "margin"]);
+  });
+
+  it("fails a framed background", () => {
+    assert.deepStrictEqual(failed(analyzeIllustration(drawSquare(50, 50, 100, 3))), ["background", "subject", "margin"]);
+  });
+
+  it("fails a subject too small to read at 64px", () => {
+    assert.deepStrictEqual(failed(analyzeIllustration(drawSquare(90, 90, 20))), ["subject", "legibility"]);
+  });
+
+  it("fails a blank image", () => {
+    assert.deepStrictEqual(failed(analyzeIllustration(drawSquare(0, 0, 0))), ["subject"]);
+  });
+});
+
+describe("language requests", () => {
+  const validRequest = {
+    name: "Amina",
+    email: "amina@example.com",
+    targetLanguage: "Oromo",
+    pairLanguage: "English",
+    categories: ["Animals", "Family"],
+  };
+
+  it("validateLanguageRequest accepts a complete request and trims fields", () => {
+    const { value, errors } = validateLanguageRequest({ ...validRequest, name: "  Amina " });
+    assert.deepStrictEqual(errors, {});
+    assert.strictEqual(value.name, "Amina");
+    assert.strictEqual(value.region, "");
+  });
+
+  it("validateLanguageRequest reports missing fields, bad email and unknown categories", () => {
+    const { errors } = validateLanguageRequest({ ...validRequest, name: "", email: "nope", categories: ["Dinosaurs"] });
+    assert.deepStrictEqual(Object.keys(errors).sort(), ["categories", "email", "name"]);
+  });
+
+  it("intake server stores valid requests once and rejects invalid ones", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "first100-requests-"));
+    const file = join(dir, "requests.jsonl");
+    const server = createIntakeServer({ file, waitlistFile: join(dir, "waitlist.jsonl") });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}/requests`;
+    const post = (body) =>
+      fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+    try {
+      const request = { ...validRequest, id: "test-1" };
+      assert.strictEqual((await post(request)).status, 201);
+      // A retry from the offline queue must not create a duplicate.
+      assert.strictEqual((await post(request)).status, 201);
+
+      const rejected = await post({ ...validRequest, email: "" });
+      assert.strictEqual(rejected.status, 400);
+      assert.ok((await rejected.json()).errors.email);
+
+      const lines = readFileSync(file, "utf8").trim().split("\n");
+      assert.strictEqual(lines.length, 1);
+      assert.strictEqual(JSON.parse(lines[0]).targetLanguage, "Oromo");
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("intake server answers 500 when the store can't be written", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "first100-requests-"));
+    // A file where the store expects a directory makes every write fail.
+    writeFileSync(join(dir, "blocked"), "");
+    const server = createIntakeServer({ file: join(dir, "blocked", "requests.jsonl"), waitlistFile: join(dir, "waitlist.jsonl") });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/requests`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(validRequest),
+      });
+      assert.strictEqual(response.status, 500);
+      assert.deepStrictEqual(await response.json(), { ok: false });
+    } finally {
+      console.error = originalError;
+      await new Promise((resolve) => server.close(resolve));
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("demand report matches language names and keeps contact details out", () => {
+    const languages = JSON.parse(readFileSync(join(ROOT, "src", "data", "languages.json"), "utf8")).languages;
+    const requests = [
+      { ...validRequest, targetLanguage: "Soomaali", pairLanguage: "english", region: "Minneapolis" },
+      { ...validRequest, targetLanguage: "somali", pairLanguage: "Español" },
+      { ...validRequest, targetLanguage: "Chinese (Cantonese)", categories: ["Animals"] },
+      { ...validRequest, targetLanguage: "Oromo" },
+    ];
+    const report = buildDemandReport(requests, languages, { generatedAt: "2026-01-01T00:00:00.000Z" });
+
+    assert.strictEqual(report.totalRequests, 4);
+    const [somali] = report.targetLanguages;
+    assert.deepStrictEqual([somali.slug, somali.count], ["somali", 2]);
+    assert.deepStrictEqual(somali.regions, [{ name: "Minneapolis", count: 1 }]);
+
+    const mandarin = report.targetLanguages.find((entry) => entry.slug === "mandarin");
+    assert.deepStrictEqual(mandarin.regions, [{ name: "Cantonese", count: 1 }]);
+
+    const oromo = report.targetLanguages.find((entry) => entry.name === "Oromo");
+    assert.strictEqual(oromo.slug, null);
+    assert.deepStrictEqual(report.categories[0], { name: "Animals", count: 4 });
+
+    const json = JSON.stringify(report).toLowerCase();
+    assert.ok(!json.includes("amina"), "report must not contain names or emails");
+
+    // The committed file keeps catalog languages only: no unmatched names, no free-text regions.
+    const published = toPublishedReport(report);
+    assert.deepStrictEqual(published.targetLanguages.map((entry) => entry.slug), ["somali", "mandarin"]);
+    assert.ok(published.targetLanguages.every((entry) => !("regions" in entry)));
+    assert.ok(published.pairLanguages.every((entry) => entry.slug));
+    const publishedJson = JSON.stringify(published).toLowerCase();
+    assert.ok(!publishedJson.includes("oromo") && !publishedJson.includes("minneapolis"));
+  });
+});
+
+describe("waitlist", () => {
+  const signup = { email: "Parent@Example.com ", language: "swahili", consent: true };
+
+  it("validateWaitlistSignup normalizes the email and requires consent", () => {
+    const { value, errors } = validateWaitlistSignup(signup, { languages: ["swahili"] });
+    assert.deepStrictEqual(errors, {});
+    assert.strictEqual(value.email, "parent@example.com");
+
+    const rejected = validateWaitlistSignup({ ...signup, consent: false, email: "nope" }, { languages: ["somali"] });
+    assert.deepStrictEqual(rejected.errors, { email: "invalidEmail", language: "unknownLanguage", consent: "consentRequired" });
+
+    // Every code the validator returns has a message for the form to show.
+    const strings = JSON.parse(readFileSync(join(ROOT, "src", "data", "ui-strings.json"), "utf8")).strings.en;
+    for (const code of Object.values(rejected.errors)) {
+      assert.ok(strings[`waitlist.error.${code}`], `missing ui string waitlist.error.${code}`);
+    }
+  });
+
+  it("intake server stores one signup per email and language", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "first100-waitlist-"));
+    const waitlistFile = join(dir, "waitlist.jsonl");
+    const server = createIntakeServer({ file: join(dir, "requests.jsonl"), waitlistFile, waitlistLanguages: ["swahili"] });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const post = (body) =>
+      fetch(`http://127.0.0.1:${server.address().port}/waitlist`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+
+    try {
+      assert.strictEqual((await post({ ...signup, id: "a" })).status, 201);
+      // The same person signing up again from another device is not counted twice.
+      assert.strictEqual((await post({ ...signup, id: "b", email: "parent@example.com" })).status, 201);
+      assert.strictEqual((await post({ ...signup, language: "somali" })).status, 400);
+
+      const lines = readFileSync(waitlistFile, "utf8").trim().split("\n");
+      assert.strictEqual(lines.length, 1);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("countWaitlist counts unique emails per coming-soon language", () => {
+    const languages = [
+      { slug: "somali", name: "Somali", status: "available" },
+      { slug: "swahili", name: "Swahili", status: "coming-soon" },
+      { slug: "turkish", name: "Turkish", status: "coming-soon" },
+    ];
+    const counts = countWaitlist(
+      [
+        { email: "a@example.com", language: "swahili" },
+        { email: "A@example.com", language: "swahili" },
+        { email: "b@example.com", language: "swahili" },
+        { email: "c@example.com", language: "klingon" },
+      ],
+      languages
+    );
+    assert.deepStrictEqual(
+      counts.map(({ slug, count }) => [slug, count]),
+      [["swahili", 2], ["klingon", 1], ["turkish", 0]]
+    );
+  });
+
+  it("removeLanguageSignups drops only the launched language and keeps other lines verbatim", () => {
+    const lines = [
+      '{"email":"a@example.com","language":"swahili"}',
+      '{"email":"a@example.com", "language":"turkish"}',
+      '{"email":"b@example.com","lang',
+      '{"email":"b@example.com","language":"swahili"}',
+    ];
+    const { kept, deleted } = removeLanguageSignups(lines, "swahili");
+    assert.deepStrictEqual(kept, [lines[1], lines[2]]);
+    assert.deepStrictEqual(deleted.map((signup) => signup.email), ["a@example.com", "b@example.com"]);
+  });
+
+  it("waitlist-export --delete rewrites the file without losing unreadable lines", () => {
+    const dir = mkdtempSync(join(tmpdir(), "first100-waitlist-"));
+    const input = join(dir, "waitlist.jsonl");
+    try {
+      writeFileSync(input, '{"email":"a@example.com","language":"swahili"}\nnot json\n{"email":"c@example.com","language":"turkish"}\n');
+      execFileSync(process.execPath, [join(ROOT, "scripts/waitlist-export.js"), `--input=${input}`, "--delete=swahili"]);
+      assert.strictEqual(readFileSync(input, "utf8"), 'not json\n{"email":"c@example.com","language":"turkish"}\n');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("offline submission queue", () => {
+  // Just enough of the browser for queued-post.js: localStorage, navigator.onLine and fetch.
+  const storage = new Map();
+  const pending = [];
+  const realFetch = globalThis.fetch;
+  before(() => {
+    globalThis.localStorage = {
+      getItem: (key) => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key),
+    };
+    Object.defineProperty(globalThis, "navigator", { value: { onLine: true }, configurable: true });
+    globalThis.fetch = (endpoint, { body }) =>
+      new Promise((resolve) => pending.push({ body: JSON.parse(body), resolve }));
+  });
+  after(() => {
+    globalThis.fetch = realFetch;
+    delete globalThis.localStorage;
+    delete globalThis.navigator;
+  });
+  const respond = (status, body = {}) => {
+    const { resolve } = pending.shift();
+    resolve(new Response(JSON.stringify(body), { status }));
+  };
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  it("keeps submissions queued while a flush is in flight", async () => {
+    const queue = createSubmissionQueue("test:overlap");
+    queue.add({ email: "first@example.com" });
+
+    const flushing = queue.flush("/intake");
+    await settle();
+    queue.add({ email: "second@example.com" });
+    // A second flush (another form, or an `online` event) joins the running one.
+    assert.strictEqual(queue.flush("/intake"), flushing);
+    assert.strictEqual(pending.length, 1);
+
+    respond(201);
+    assert.strictEqual(await flushing, 1);
+    assert.deepStrictEqual(JSON.parse(storage.get("test:overlap")), [{ email: "second@example.com" }]);
+
+    const next = queue.flush("/intake");
+    await settle();
+    assert.deepStrictEqual(pending[0].body, { email: "second@example.com" });
+    respond(201);
+    assert.strictEqual(await next, 1);
+    assert.strictEqual(storage.has("test:overlap"), false);
+  });
+
+  it("drops rejected submissions and keeps rate-limited ones", async () => {
+    const queue = createSubmissionQueue("test:outcomes");
+    queue.add({ email: "bad" });
+    queue.add({ email: "later@example.com" });
+
+    const flushing = queue.flush("/intake");
+    await settle();
+    respond(400, { errors: { email: "invalidEmail" } });
+    await settle();
+    respond(429);
+    assert.strictEqual(await flushing, 0);
+    assert.deepStrictEqual(JSON.parse(storage.get("test:outcomes")), [{ email: "later@example.com" }]);
+  });
+});
+
+describe("language search", () => {
+  const rank = (languages, query) =>
+    languages
+      .map(({ name, terms }) => ({ name, score: scoreTerms(terms, query) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+      .map(({ name }) => name);
+
+  it("editDistance counts insertions, deletions, substitutions and swaps as one edit", () => {
+    assert.strictEqual(editDistance("german", "german"), 0);
+    assert.strictEqual(editDistance("germn", "german"), 1);
+    assert.strictEqual(editDistance("germann", "german"), 1);
+    assert.strictEqual(editDistance("gorman", "german"), 1);
+    assert.strictEqual(editDistance("gremna", "german"), 2);
+    assert.strictEqual(editDistance("", "german"), 6);
+  });
+
+  it("scoreTerm tolerates one typo from three characters and two from six", () => {
+    assert.strictEqual(scoreTerm("german", "germn"), 15);
+    assert.strictEqual(scoreTerm("somali", "smoali"), 15);
+    assert.strictEqual(scoreTerm("portuguese", "portugese"), 15);
+    assert.strictEqual(scoreTerm("portuguese", "prtugese"), 10);
+    // Half-typed names match against the start of the word.
+    assert.strictEqual(scoreTerm("swahili", "swahl"), 15);
+    assert.strictEqual(scoreTerm("arabic", "ac"), 0);
+    assert.strictEqual(scoreTerm("german", "grmn"), 0);
+    assert.strictEqual(scoreTerm("german", "xyzzy"), 0);
+  });
+
+  it("ranks exact, prefix, word prefix, substring and typo matches in that order", () => {
+    assert.strictEqual(scoreTerm("arabic", "arabic"), 100);
+    assert.strictEqual(scoreTerm("arabic", "arab"), 80);
+    assert.strictEqual(scoreTerm("modern standard arabic", "arab"), 60);
+    assert.strictEqual(scoreTerm("nigerian pidgin", "ger"), 40);
+
+    const languages = [
+      { name: "Arabic", terms: ["arabic", "العربية", "modern standard arabic"] },
+      { name: "German", terms: ["german", "deutsch"] },
+      { name: "Nigerian Pidgin", terms: ["nigerian pidgin", "naija"] },
+      { name: "Germanic Test", terms: ["germanic test"] },
+    ];
+    assert.deepStrictEqual(rank(languages, "german"), ["German", "Germanic Test"]);
+    assert.deepStrictEqual(rank(languages, "ger"), ["German", "Germanic Test", "Nigerian Pidgin"]);
+    assert.deepStrictEqual(rank(languages, "germna"), ["German", "Germanic Test"]);
+  });
+
+  it("scoreTerms prefers the primary name over an alias match", () => {
+    assert.strictEqual(scoreTerms(["arabic", "modern standard arabic"], "arabic"), 102);
+    assert.strictEqual(scoreTerms(["fusha", "arabic"], "arabic"), 100);
+    assert.strictEqual(scoreTerms(["german", "deutsch"], "xyz"), 0);
+  });
+});
+
+describe("store buttons", () => {
+  const device = (userAgent, maxTouchPoints = 0) => ({ userAgent, maxTouchPoints });
+
+  it("detectPlatform recognizes phones, tablets and desktops", () => {
+    const iphone = "Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 Mobile/15E148";
+    const android = "Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 Chrome/124.0 Mobile Safari/537.36";
+    const mac = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 Version/17.4 Safari/605.1.15";
+    const windows = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/124.0 Safari/537.36";
+    const kaios = "Mozilla/5.0 (Mobile; LYF/F300B; rv:48.0) Gecko/48.0 Firefox/48.0 KAIOS/2.5";
+
+    assert.strictEqual(detectPlatform(device(iphone, 5)), "ios");
+    assert.strictEqual(detectPlatform(device(android, 5)), "android");
+    // iPadOS reports a Mac user agent; only the touch points tell them apart.
+    assert.strictEqual(detectPlatform(device(mac, 5)), "ios");
+    assert.strictEqual(detectPlatform(device(mac, 0)), "desktop");
+    assert.strictEqual(detectPlatform(device(windows)), "desktop");
+    assert.strictEqual(detectPlatform(device(kaios)), "other");
+  });
+
+  it("getStoreQrSvg returns a labelled, sized SVG and reuses it", async () => {
+    const url = "https://apps.apple.com/app/id0000000000";
+    const svg = await getStoreQrSvg(url, 'QR code: First 100 "Somali"');
+    assert.match(svg, /^<svg role="img" aria-label="QR code: First 100 &quot;Somali&quot;" width="128" height="128" /);
+    assert.ok(svg.includes("<path"), "QR code has no modules");
+    assert.strictEqual(getStoreQrSvg(url, 'QR code: First 100 "Somali"'), getStoreQrSvg(url, 'QR code: First 100 "Somali"'));
+  });
+});
+
+describe("structured data", () => {
+  const { languages } = JSON.parse(readFileSync(join(ROOT, "src/data/languages.json"), "utf8"));
+  const options = { pageUrl: "https://www.first100.org/l/test/", description: "First words" };
+
+  it("available languages get one MobileApplication per store with an in-stock offer", () => {
+    const available = languages.filter((language) => language.status === "available");
+    assert.ok(available.length > 0);
+    for (const language of available) {
+      const apps = getLanguageAppSchemas(language, options);
+      assert.deepStrictEqual(apps.map((app) => app.installUrl).sort(), [language.appStore, language.playStore].filter(Boolean).sort());
+      for (const app of apps) {
+        assert.strictEqual(app["@context"], "https://schema.org");
+        assert.strictEqual(app["@type"], "MobileApplication");
+        for (const key of ["name", "operatingSystem", "applicationCategory", "inLanguage", "url"]) {
+          assert.ok(app[key], `${language.slug}: MobileApplication missing ${key}`);
+        }
+        assert.deepStrictEqual(app.offers, {
+          "@type": "Offer",
+          price: APP_PRICE,
+          priceCurrency: APP_PRICE_CURRENCY,
+          availability: "https://schema.org/InStock",
+          url: app.installUrl,
+        });
+      }
+    }
+  });
+
+  it("coming-soon languages get one MobileApplication without an offer or install link", () => {
+    const comingSoon = languages.filter((language) => language.status === "coming-soon");
+    assert.ok(comingSoon.length > 0);
+    for (const language of comingSoon) {
+      const apps = getLanguageAppSchemas(language, options);
+      assert.strictEqual(apps.length, 1);
+      assert.ok(!("offers" in apps[0]) && !("installUrl" in apps[0]), `${language.slug}: coming-soon app must not be offered`);
+    }
+  });
+
+  it("getFaqPageSchema turns every FAQ into a Question with an Answer", () => {
+    const { entries } = JSON.parse(readFileSync(join(ROOT, "src/data/faqs.json"), "utf8"));
+    const items = entries.map((entry) => ({ question: entry.question.en, answer: entry.answer.en }));
+    const faq = getFaqPageSchema(items);
+    assert.strictEqual(faq["@type"], "FAQPage");
+    assert.strictEqual(faq.mainEntity.length, entries.length);
+    faq.mainEntity.forEach((question, index) => {
+      assert.strictEqual(question["@type"], "Question");
+      assert.strictEqual(question.name, items[index].question);
+      assert.deepStrictEqual(question.acceptedAnswer, { "@type": "Answer", text: items[index].answer });
+    });
+  });
+});
+
+describe("structured data in the built site", () => {
+  const DIST = join(ROOT, "dist");
+  // Needs `npm run build` first; skipped otherwise so `npm test` stays fast.
+  const skip = !existsSync(join(DIST, "index.html")) && "dist/ not built";
+  const LD_JSON_RE = /<script type="?application\/ld\+json"?>(.*?)<\/script>/gs;
+
+  function readJsonLd(page) {
+    const html = readFileSync(join(DIST, page, "index.html"), "utf8");
+    return [...html.matchAll(LD_JSON_RE)].map(([, json]) => JSON.parse(json));
+  }
+
+  function assertFaqPage(entries, page) {
+    const faq = entries.find((entry) => entry["@type"] === "FAQPage");
+    assert.ok(faq, `${page}: missing FAQPage`);
+    assert.ok(faq.mainEntity.length > 0, `${page}: FAQPage has no questions`);
+    for (const question of faq.mainEntity) {
+      assert.strictEqual(question["@type"], "Question");
+      assert.ok(question.name, `${page}: question without a name`);
+      assert.strictEqual(question.acceptedAnswer["@type"], "Answer");
+      assert.ok(question.acceptedAnswer.text, `${page}: "${question.name}" has no answer`);
+    }
+  }
+
+  it("language pages describe each store app and their FAQ", { skip }, () => {
+    const { languages } = JSON.parse(readFileSync(join(ROOT, "src/data/languages.json"), "utf8"));
+    for (const language of languages) {
+      for (const page of [`l/${language.slug}`, `es/l/${language.slug}`]) {
+        const entries = readJsonLd(page);
+        const apps = entries.filter((entry) => entry["@type"] === "MobileApplication");
+        assert.ok(apps.length > 0, `${page}: missing MobileApplication`);
+
+        for (const app of apps) {
+          assert.strictEqual(app["@context"], "https://schema.org");
+          for (const key of ["name", "operatingSystem", "applicationCategory", "inLanguage", "url"]) {
+            assert.ok(app[key], `${page}: MobileApplication missing ${key}`);
+          }
+          assert.ok(app.url.endsWith(`/${page}/`), `${page}: url ${app.url} is not the page's canonical URL`);
+        }
+
+        if (language.status === "available") {
+          assert.deepStrictEqual(apps.map((app) => app.installUrl).sort(), [language.appStore, language.playStore].filter(Boolean).sort());
+          for (const app of apps) {
+            assert.strictEqual(app.offers["@type"], "Offer", `${page}: missing Offer`);
+            assert.ok(app.offers.price && app.offers.priceCurrency, `${page}: offer without a price`);
+            assert.strictEqual(app.offers.availability, "https://schema.org/InStock");
+          }
+        } else {
+          assert.strictEqual(apps.length, 1, `${page}: coming-soon app should have one entry`);
+          assert.ok(!apps[0].offers && !apps[0].installUrl, `${page}: coming-soon app must not be offered`);
+        }
+
+        assertFaqPage(entries, page);
+      }
+    }
+  });
+
+  it("the support page has an FAQPage", { skip }, () => {
+    assertFaqPage(readJsonLd("support"), "support");
+  });
+});